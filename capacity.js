@@ -0,0 +1,227 @@
+// capacity.js - Aircraft-type aware passenger capacity model
+const fs = require('fs').promises;
+const path = require('path');
+
+const CAPACITY_PATH = process.env.CAPACITY_PATH || path.join(__dirname, 'data', 'capacity.json');
+
+// Used when neither the ICAO24 nor the airline prefix is known (previous fixed estimate)
+const DEFAULT_AIRCRAFT = { type: 'DEFAULT', seats: 174 };
+
+// Typical seat counts per ICAO aircraft type designator
+const DEFAULT_AIRCRAFT_TYPES = {
+	A320: { seats: 180 },
+	A21N: { seats: 220 },
+	A321: { seats: 195 },
+	A332: { seats: 250 },
+	A333: { seats: 290 },
+	A359: { seats: 311 },
+	A35K: { seats: 350 },
+	A388: { seats: 500 },
+	B38M: { seats: 189 },
+	B738: { seats: 189 },
+	B744: { seats: 0, freighter: true },
+	B748: { seats: 364 },
+	B763: { seats: 0, freighter: true },
+	B772: { seats: 300 },
+	B77L: { seats: 0, freighter: true },
+	B77W: { seats: 350 },
+	B788: { seats: 250 },
+	B789: { seats: 290 },
+	MD11: { seats: 0, freighter: true },
+};
+
+// Airline ICAO prefix (first letters of the callsign) -> typical aircraft operated into RKSI
+const DEFAULT_AIRLINES = {
+	AAL: { name: 'American Airlines', aircraft: 'B789' },
+	AAR: { name: 'Asiana Airlines', aircraft: 'A359' },
+	ABL: { name: 'Air Busan', aircraft: 'A321' },
+	ACA: { name: 'Air Canada', aircraft: 'B789' },
+	AIH: { name: 'Air Incheon', aircraft: 'B744', freighter: true },
+	AMX: { name: 'Aeromexico', aircraft: 'B789' },
+	APJ: { name: 'Peach Aviation', aircraft: 'A320' },
+	APZ: { name: 'Air Premia', aircraft: 'B789' },
+	ASV: { name: 'Air Seoul', aircraft: 'A321' },
+	BOX: { name: 'AeroLogic', aircraft: 'B77L', freighter: true },
+	CAL: { name: 'China Airlines', aircraft: 'A359' },
+	CCA: { name: 'Air China', aircraft: 'A333' },
+	CEB: { name: 'Cebu Pacific', aircraft: 'A321' },
+	CES: { name: 'China Eastern', aircraft: 'A333' },
+	CKK: { name: 'China Cargo Airlines', aircraft: 'B77L', freighter: true },
+	CKS: { name: 'Kalitta Air', aircraft: 'B744', freighter: true },
+	CLX: { name: 'Cargolux', aircraft: 'B744', freighter: true },
+	CPA: { name: 'Cathay Pacific', aircraft: 'A333' },
+	CSN: { name: 'China Southern', aircraft: 'A333' },
+	DAL: { name: 'Delta Air Lines', aircraft: 'A359' },
+	DLH: { name: 'Lufthansa', aircraft: 'B748' },
+	EOK: { name: 'Aero K', aircraft: 'A320' },
+	ESR: { name: 'Eastar Jet', aircraft: 'B738' },
+	ETD: { name: 'Etihad Airways', aircraft: 'B789' },
+	ETH: { name: 'Ethiopian Airlines', aircraft: 'B788' },
+	EVA: { name: 'EVA Air', aircraft: 'B77W' },
+	FDX: { name: 'FedEx Express', aircraft: 'MD11', freighter: true },
+	GEC: { name: 'Lufthansa Cargo', aircraft: 'B77L', freighter: true },
+	GIA: { name: 'Garuda Indonesia', aircraft: 'A333' },
+	GTI: { name: 'Atlas Air', aircraft: 'B744', freighter: true },
+	HKE: { name: 'HK Express', aircraft: 'A21N' },
+	HVN: { name: 'Vietnam Airlines', aircraft: 'A321' },
+	HYT: { name: 'YTO Cargo Airlines', aircraft: 'B763', freighter: true },
+	JAL: { name: 'Japan Airlines', aircraft: 'B788' },
+	JJA: { name: 'Jeju Air', aircraft: 'B738' },
+	JNA: { name: 'Jin Air', aircraft: 'B738' },
+	KAL: { name: 'Korean Air', aircraft: 'B77W' },
+	MAS: { name: 'Malaysia Airlines', aircraft: 'A333' },
+	PAC: { name: 'Polar Air Cargo', aircraft: 'B744', freighter: true },
+	PAL: { name: 'Philippine Airlines', aircraft: 'A321' },
+	QFA: { name: 'Qantas', aircraft: 'A333' },
+	QTR: { name: 'Qatar Airways', aircraft: 'B77W' },
+	SIA: { name: 'Singapore Airlines', aircraft: 'A359' },
+	THA: { name: 'Thai Airways', aircraft: 'B788' },
+	THY: { name: 'Turkish Airlines', aircraft: 'A359' },
+	TTW: { name: 'Tigerair Taiwan', aircraft: 'A320' },
+	TWB: { name: "T'way Air", aircraft: 'B738' },
+	TZP: { name: 'ZIPAIR', aircraft: 'B788' },
+	UAE: { name: 'Emirates', aircraft: 'A388' },
+	UAL: { name: 'United Airlines', aircraft: 'B789' },
+	UPS: { name: 'UPS Airlines', aircraft: 'B744', freighter: true },
+	VJC: { name: 'VietJet Air', aircraft: 'A321' },
+};
+
+let tables = {
+	aircraft: { ...DEFAULT_AIRCRAFT_TYPES },
+	airlines: { ...DEFAULT_AIRLINES },
+	icao24: {}, // transponder hex -> { aircraft } for individual airframes
+};
+
+// Load edited tables from disk, falling back to the built-in defaults
+async function loadCapacityTables() {
+	try {
+		const content = await fs.readFile(CAPACITY_PATH, 'utf8');
+		const stored = JSON.parse(content);
+		tables = {
+			aircraft: stored.aircraft || { ...DEFAULT_AIRCRAFT_TYPES },
+			airlines: stored.airlines || { ...DEFAULT_AIRLINES },
+			icao24: stored.icao24 || {},
+		};
+	} catch (err) {
+		if (err.code !== 'ENOENT') {
+			throw err;
+		}
+	}
+	return tables;
+}
+
+async function saveCapacityTables() {
+	await fs.mkdir(path.dirname(CAPACITY_PATH), { recursive: true });
+	await fs.writeFile(CAPACITY_PATH, JSON.stringify(tables, null, 2), 'utf8');
+}
+
+function getCapacityTables() {
+	return tables;
+}
+
+// Callsign "KAL123  " -> "KAL"; returns null for registrations or empty callsigns
+function airlinePrefix(callsign) {
+	const match = (callsign || '').trim().toUpperCase().match(/^([A-Z]{3})\d/);
+	return match ? match[1] : null;
+}
+
+// Resolve { airline, aircraftType, seats, freighter } for an OpenSky flight entry
+function resolveCapacity(flight) {
+	const prefix = airlinePrefix(flight.callsign);
+	const airline = prefix ? tables.airlines[prefix] : null;
+	const override = flight.icao24 ? tables.icao24[flight.icao24.toLowerCase()] : null;
+	const aircraftType = (override && override.aircraft) || (airline && airline.aircraft) || null;
+	const aircraft = aircraftType ? tables.aircraft[aircraftType] : null;
+
+	if (!aircraft) {
+		return {
+			airline: airline ? airline.name : prefix,
+			aircraftType: aircraftType || DEFAULT_AIRCRAFT.type,
+			seats: airline && airline.freighter ? 0 : DEFAULT_AIRCRAFT.seats,
+			freighter: Boolean(airline && airline.freighter),
+		};
+	}
+
+	const freighter = Boolean(aircraft.freighter || (airline && airline.freighter && !override));
+	return {
+		airline: airline ? airline.name : prefix,
+		aircraftType,
+		seats: freighter ? 0 : aircraft.seats,
+		freighter,
+	};
+}
+
+function validateCode(code, pattern, label) {
+	const normalized = String(code || '')
+		.trim()
+		.toUpperCase();
+	if (!pattern.test(normalized)) {
+		throw new Error(`Invalid ${label}: "${code}"`);
+	}
+	return normalized;
+}
+
+async function setAirline(code, { name, aircraft, freighter = false }) {
+	const prefix = validateCode(code, /^[A-Z]{3}$/, 'airline ICAO prefix');
+	const aircraftType = validateCode(aircraft, /^[A-Z0-9]{2,4}$/, 'aircraft type');
+	if (!tables.aircraft[aircraftType]) {
+		throw new Error(`Unknown aircraft type ${aircraftType}, add it to the aircraft table first`);
+	}
+
+	tables.airlines[prefix] = { name: (name || prefix).trim(), aircraft: aircraftType, ...(freighter && { freighter: true }) };
+	await saveCapacityTables();
+	return tables.airlines[prefix];
+}
+
+async function setAircraftType(type, { seats, freighter = false }) {
+	const aircraftType = validateCode(type, /^[A-Z0-9]{2,4}$/, 'aircraft type');
+	const seatCount = freighter ? 0 : Number(seats);
+	if (!Number.isInteger(seatCount) || seatCount < 0 || seatCount > 1000) {
+		throw new Error('Seat count must be an integer between 0 and 1000');
+	}
+
+	tables.aircraft[aircraftType] = { seats: seatCount, ...(freighter && { freighter: true }) };
+	await saveCapacityTables();
+	return tables.aircraft[aircraftType];
+}
+
+async function setIcao24Aircraft(icao24, aircraft) {
+	const hex = String(icao24 || '')
+		.trim()
+		.toLowerCase();
+	if (!/^[0-9a-f]{6}$/.test(hex)) {
+		throw new Error(`Invalid ICAO24 address: "${icao24}"`);
+	}
+	const aircraftType = validateCode(aircraft, /^[A-Z0-9]{2,4}$/, 'aircraft type');
+	if (!tables.aircraft[aircraftType]) {
+		throw new Error(`Unknown aircraft type ${aircraftType}, add it to the aircraft table first`);
+	}
+
+	tables.icao24[hex] = { aircraft: aircraftType };
+	await saveCapacityTables();
+	return tables.icao24[hex];
+}
+
+// Remove an entry from one of the tables ('airlines', 'aircraft' or 'icao24')
+async function removeEntry(table, key) {
+	const normalized = table === 'icao24' ? String(key).toLowerCase() : String(key).toUpperCase();
+	if (!tables[table] || !tables[table][normalized]) {
+		return false;
+	}
+
+	delete tables[table][normalized];
+	await saveCapacityTables();
+	return true;
+}
+
+module.exports = {
+	DEFAULT_AIRCRAFT,
+	loadCapacityTables,
+	getCapacityTables,
+	airlinePrefix,
+	resolveCapacity,
+	setAirline,
+	setAircraftType,
+	setIcao24Aircraft,
+	removeEntry,
+};
@@ -0,0 +1,131 @@
+// flight-cache.js - On-disk flight data snapshots per airport and day
+const fs = require('fs').promises;
+const path = require('path');
+
+const CACHE_DIR = process.env.FLIGHT_CACHE_DIR || path.join(__dirname, 'data', 'flight-cache');
+const CACHE_TTL_HOURS = parseFloat(process.env.FLIGHT_CACHE_TTL_HOURS || '24');
+
+const AIRPORT_PATTERN = /^[A-Z0-9]{4}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Helper function to format a Date as a local YYYY-MM-DD key
+function formatDateKey(date) {
+	const year = date.getFullYear();
+	const month = String(date.getMonth() + 1).padStart(2, '0');
+	const day = String(date.getDate()).padStart(2, '0');
+	return `${year}-${month}-${day}`;
+}
+
+// Airport and date end up in file paths, so only accept ICAO codes and YYYY-MM-DD
+function validateKey(airport, date) {
+	if (!AIRPORT_PATTERN.test(airport || '')) {
+		throw new Error(`Invalid airport code: "${airport}"`);
+	}
+	if (!DATE_PATTERN.test(date || '')) {
+		throw new Error(`Invalid snapshot date: "${date}"`);
+	}
+}
+
+function getSnapshotPath(airport, date) {
+	validateKey(airport, date);
+	return path.join(CACHE_DIR, airport, `${date}.json`);
+}
+
+function isExpired(snapshot, now = Date.now()) {
+	return !snapshot.expiresAt || new Date(snapshot.expiresAt).getTime() <= now;
+}
+
+// Store an arrival set (OpenSky flight entries) as a dated snapshot
+async function saveSnapshot(airport, date, flights, source) {
+	const snapshotPath = getSnapshotPath(airport, date);
+	const fetchedAt = new Date();
+	const snapshot = {
+		airport,
+		date,
+		source,
+		fetchedAt: fetchedAt.toISOString(),
+		expiresAt: new Date(fetchedAt.getTime() + CACHE_TTL_HOURS * 60 * 60 * 1000).toISOString(),
+		flights,
+	};
+
+	await fs.mkdir(path.dirname(snapshotPath), { recursive: true });
+	await fs.writeFile(snapshotPath, JSON.stringify(snapshot, null, 2), 'utf8');
+	return snapshot;
+}
+
+// Returns the snapshot, or null when none is stored for that airport and day
+async function loadSnapshot(airport, date) {
+	try {
+		const content = await fs.readFile(getSnapshotPath(airport, date), 'utf8');
+		return JSON.parse(content);
+	} catch (err) {
+		if (err.code === 'ENOENT') {
+			return null;
+		}
+		throw err;
+	}
+}
+
+// List snapshot metadata (without flights), newest day first
+async function listSnapshots(airportFilter = null) {
+	let airports = [];
+	try {
+		airports = await fs.readdir(CACHE_DIR);
+	} catch (err) {
+		if (err.code === 'ENOENT') {
+			return [];
+		}
+		throw err;
+	}
+
+	const snapshots = [];
+	for (const airport of airports.filter((name) => AIRPORT_PATTERN.test(name))) {
+		if (airportFilter && airport !== airportFilter) continue;
+
+		const files = await fs.readdir(path.join(CACHE_DIR, airport));
+		for (const file of files) {
+			const date = path.basename(file, '.json');
+			if (!file.endsWith('.json') || !DATE_PATTERN.test(date)) continue;
+
+			const snapshot = await loadSnapshot(airport, date);
+			if (!snapshot) continue;
+
+			snapshots.push({
+				airport,
+				date,
+				source: snapshot.source,
+				fetchedAt: snapshot.fetchedAt,
+				expiresAt: snapshot.expiresAt,
+				expired: isExpired(snapshot),
+				flightCount: Array.isArray(snapshot.flights) ? snapshot.flights.length : 0,
+			});
+		}
+	}
+
+	return snapshots.sort((a, b) => b.date.localeCompare(a.date) || a.airport.localeCompare(b.airport));
+}
+
+// Returns true when a snapshot was deleted
+async function deleteSnapshot(airport, date) {
+	try {
+		await fs.unlink(getSnapshotPath(airport, date));
+		return true;
+	} catch (err) {
+		if (err.code === 'ENOENT') {
+			return false;
+		}
+		throw err;
+	}
+}
+
+module.exports = {
+	CACHE_DIR,
+	CACHE_TTL_HOURS,
+	formatDateKey,
+	validateKey,
+	isExpired,
+	saveSnapshot,
+	loadSnapshot,
+	listSnapshots,
+	deleteSnapshot,
+};
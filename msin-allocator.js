@@ -0,0 +1,167 @@
+// msin-allocator.js - Persistent ledger of issued MSIN ranges per PLMN, so no two sessions ever share an IMSI
+// An allocation stays active until it is released; released ranges are free again and get recycled by later
+// allocations (the lowest free range at or above the requested start wins).
+const fs = require('fs').promises;
+const path = require('path');
+const { randomUUID } = require('crypto');
+
+const MSIN_LEDGER_PATH = process.env.MSIN_LEDGER_PATH || path.join(__dirname, 'data', 'msin-ledger.json');
+const DEFAULT_MSIN_LENGTH = 10;
+
+let allocations = [];
+let writeQueue = Promise.resolve();
+
+async function loadMsinLedger() {
+	try {
+		const content = await fs.readFile(MSIN_LEDGER_PATH, 'utf8');
+		allocations = JSON.parse(content).allocations || [];
+	} catch (err) {
+		if (err.code !== 'ENOENT') {
+			throw err;
+		}
+		allocations = [];
+	}
+	return allocations;
+}
+
+// Write through a temporary file so a crash mid-write never leaves a truncated ledger
+function saveMsinLedger() {
+	writeQueue = writeQueue
+		.then(async () => {
+			await fs.mkdir(path.dirname(MSIN_LEDGER_PATH), { recursive: true });
+			const tempPath = `${MSIN_LEDGER_PATH}.tmp`;
+			await fs.writeFile(tempPath, JSON.stringify({ allocations }, null, 2), 'utf8');
+			await fs.rename(tempPath, MSIN_LEDGER_PATH);
+		})
+		.catch((err) => console.error(`Could not save MSIN ledger: ${err.message}`));
+	return writeQueue;
+}
+
+function activeAllocations(plmn) {
+	return allocations
+		.filter((allocation) => allocation.plmn === plmn && allocation.status === 'active')
+		.sort((a, b) => a.start - b.start);
+}
+
+function overlapping(plmn, start, end) {
+	return activeAllocations(plmn).find((allocation) => allocation.start <= end && allocation.end >= start) || null;
+}
+
+function validateCount(count) {
+	if (!Number.isInteger(count) || count < 1) {
+		throw new Error(`MSIN range size must be a positive integer (got "${count}")`);
+	}
+}
+
+function createAllocation(plmn, start, count, owner) {
+	const allocation = {
+		id: randomUUID(),
+		plmn,
+		start,
+		end: start + count - 1,
+		count,
+		sessionNumber: owner.sessionNumber ?? null,
+		airport: owner.airport || null,
+		trigger: owner.trigger || null,
+		allocatedAt: new Date().toISOString(),
+		status: 'active',
+		releasedAt: null,
+	};
+	allocations.push(allocation);
+	saveMsinLedger();
+	return allocation;
+}
+
+// First MSIN of the lowest free range of count MSINs at or above from; taken is sorted by start
+function findFreeStart(plmn, taken, { from, count, msinLength }) {
+	validateCount(count);
+
+	let start = from;
+	for (const range of taken) {
+		if (range.end < start) continue;
+		if (range.start >= start + count) break;
+		start = range.end + 1;
+	}
+
+	if (start + count - 1 > 10 ** msinLength - 1) {
+		throw new Error(`No free range of ${count} MSINs left for PLMN ${plmn} from ${from}`);
+	}
+	return start;
+}
+
+// Allocate count MSINs from the lowest free range at or above from. owner: { sessionNumber, airport, trigger }
+// describes who the range is issued to. Throws when the PLMN's MSIN space has no room left above from.
+function allocateMsinRange({ plmn, count, from = 0, msinLength = DEFAULT_MSIN_LENGTH, owner = {} }) {
+	const start = findFreeStart(plmn, activeAllocations(plmn), { from, count, msinLength });
+	return createAllocation(plmn, start, count, owner);
+}
+
+// Dry run of a series of allocations, e.g. the sessions of a schedule: plan(from, count) returns the { start, end }
+// allocateMsinRange would issue after the earlier planned ranges, without touching the ledger
+function planMsinRanges({ plmn, msinLength = DEFAULT_MSIN_LENGTH }) {
+	const taken = activeAllocations(plmn).map(({ start, end }) => ({ start, end }));
+
+	return (from, count) => {
+		const start = findFreeStart(plmn, taken, { from, count, msinLength });
+		const range = { start, end: start + count - 1 };
+		taken.push(range);
+		taken.sort((a, b) => a.start - b.start);
+		return range;
+	};
+}
+
+// Reserve an exact range; refuses it when any MSIN in it is already allocated
+function reserveMsinRange({ plmn, start, count, msinLength = DEFAULT_MSIN_LENGTH, owner = {} }) {
+	validateCount(count);
+	if (!Number.isInteger(start) || start < 0 || start + count - 1 > 10 ** msinLength - 1) {
+		throw new Error(`MSIN range must lie between 0 and ${10 ** msinLength - 1}`);
+	}
+
+	const conflict = overlapping(plmn, start, start + count - 1);
+	if (conflict) {
+		const error = new Error(
+			`MSIN range ${start}-${start + count - 1} overlaps allocation ${conflict.start}-${conflict.end} of PLMN ${plmn}`
+		);
+		error.conflict = conflict;
+		throw error;
+	}
+	return createAllocation(plmn, start, count, owner);
+}
+
+// Mark an allocation released so its range can be recycled; returns the allocation, or null when unknown
+function releaseMsinRange(id) {
+	const allocation = allocations.find((candidate) => candidate.id === id);
+	if (!allocation) {
+		return null;
+	}
+	if (allocation.status === 'active') {
+		allocation.status = 'released';
+		allocation.releasedAt = new Date().toISOString();
+		saveMsinLedger();
+	}
+	return allocation;
+}
+
+// Newest first. Filters: plmn, status ('active' | 'released')
+function listMsinAllocations({ plmn, status } = {}) {
+	return allocations
+		.filter((allocation) => !plmn || allocation.plmn === plmn)
+		.filter((allocation) => !status || allocation.status === status)
+		.slice()
+		.reverse();
+}
+
+function getMsinAllocation(id) {
+	return allocations.find((allocation) => allocation.id === id) || null;
+}
+
+module.exports = {
+	MSIN_LEDGER_PATH,
+	loadMsinLedger,
+	allocateMsinRange,
+	planMsinRanges,
+	reserveMsinRange,
+	releaseMsinRange,
+	listMsinAllocations,
+	getMsinAllocation,
+};
@@ -0,0 +1,70 @@
+// opensky.js - OpenSky Network arrivals client (with local mock mode)
+const OPENSKY_API_URL = process.env.OPENSKY_API_URL || 'https://opensky-network.org/api';
+const OPENSKY_TIMEOUT_MS = parseInt(process.env.OPENSKY_TIMEOUT_MS || '10000');
+
+// Mock mode points the client at the server's own stand-in endpoint instead of the real API
+function isMockMode() {
+	return ['1', 'true', 'yes'].includes(String(process.env.OPENSKY_MOCK || '').toLowerCase());
+}
+
+// Fetch arrivals for an airport between two unix timestamps (seconds)
+async function fetchArrivals({ airport, begin, end, accessToken, baseUrl = OPENSKY_API_URL }) {
+	const url = new URL(`${baseUrl.replace(/\/$/, '')}/flights/arrival`);
+	url.searchParams.set('airport', airport);
+	url.searchParams.set('begin', begin);
+	url.searchParams.set('end', end);
+
+	const headers = { Accept: 'application/json' };
+	if (accessToken) {
+		headers.Authorization = `Bearer ${accessToken}`;
+	}
+
+	const response = await fetch(url, { headers, signal: AbortSignal.timeout(OPENSKY_TIMEOUT_MS) });
+
+	// OpenSky answers 404 when there are simply no flights in the interval
+	if (response.status === 404) {
+		return [];
+	}
+
+	if (!response.ok) {
+		throw new Error(`OpenSky request failed with status ${response.status}`);
+	}
+
+	const flights = await response.json();
+	if (!Array.isArray(flights)) {
+		throw new Error('OpenSky response is not an array of flights');
+	}
+
+	return flights;
+}
+
+// Build a stand-in OpenSky response from a recorded dataset.
+// Flights are shifted by whole weeks into the requested interval, which keeps their weekday and time of day.
+function buildMockArrivals(dataset, { airport, begin, end }) {
+	const WEEK = 7 * 24 * 60 * 60;
+
+	return dataset
+		.filter((data) => !airport || data.estArrivalAirport === airport)
+		.filter((data) => data.firstSeen || data.lastSeen)
+		.map((data) => {
+			const timestamp = data.firstSeen || data.lastSeen;
+			const shift = Math.ceil((begin - timestamp) / WEEK) * WEEK;
+
+			return {
+				...data,
+				firstSeen: data.firstSeen ? data.firstSeen + shift : data.firstSeen,
+				lastSeen: data.lastSeen ? data.lastSeen + shift : data.lastSeen,
+			};
+		})
+		.filter((data) => {
+			const timestamp = data.firstSeen || data.lastSeen;
+			return timestamp >= begin && timestamp <= end;
+		});
+}
+
+module.exports = {
+	OPENSKY_API_URL,
+	isMockMode,
+	fetchArrivals,
+	buildMockArrivals,
+};
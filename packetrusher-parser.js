@@ -0,0 +1,171 @@
+// packetrusher-parser.js - Turn PacketRusher log lines into per-UE registration outcomes and latencies
+// PacketRusher logs through logrus, e.g.
+//   time="2025-04-26T09:15:00.123Z" level=info msg="[UE][NAS] Receive Registration Accept" ...
+//   INFO[0001] [TESTER] TESTING REGISTRATION USING IMSI 0000000001 UE
+//   INFO[0001] [UE-1][NAS] Receive Authentication Request
+// Lines are matched on the message text only, so both text and JSON logrus output work.
+
+// Procedure milestones in the order a healthy UE reaches them
+const STAGE_PATTERNS = [
+	{
+		stage: 'registrationStart',
+		pattern: /TESTING REGISTRATION|Initiating Registration|Send(ing)? Registration Request/i,
+	},
+	{ stage: 'authentication', pattern: /Authentication Request/i },
+	{ stage: 'securityMode', pattern: /Security Mode Command/i },
+	{ stage: 'registered', pattern: /Registration Accept|Registration Complete/i },
+	{ stage: 'pduSessionStart', pattern: /Send(ing)? PDU Session Establishment Request/i },
+	{ stage: 'pduSession', pattern: /PDU Session Establishment Accept|ready for using data plane/i },
+];
+
+// Failures, matched before the milestones so "Registration Reject" is never read as progress
+const FAILURE_PATTERNS = [
+	{ stage: 'registration', pattern: /Registration Reject|Registration Failure|Service Reject/i },
+	{ stage: 'authentication', pattern: /Authentication (Reject|Failure)|MAC (check )?fail|SQN failure/i },
+	{ stage: 'securityMode', pattern: /Security Mode Reject/i },
+	{ stage: 'pduSession', pattern: /PDU Session Establishment Reject/i },
+];
+
+// Latency from the start of registration to each milestone
+const LATENCY_STAGES = {
+	authenticationMs: 'authentication',
+	securityModeMs: 'securityMode',
+	registrationMs: 'registered',
+	pduSessionMs: 'pduSession',
+};
+
+// Full logrus timestamps are used when present ({ at, logged: true }); "INFO[0003]" only counts whole seconds, so
+// those lines use the time they were received instead
+function lineTimestamp(line, receivedAt) {
+	const match = line.match(/time="([^"]+)"/) || line.match(/^(\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:\.\d+)?Z?)/);
+	const parsed = match ? new Date(match[1]).getTime() : NaN;
+	return Number.isNaN(parsed) ? { at: receivedAt, logged: false } : { at: parsed, logged: true };
+}
+
+// Latency of a milestone, measured from the start of registration on the same clock (logged or received time)
+function stageLatency(events, stage) {
+	const event = events[stage];
+	if (!event) {
+		return null;
+	}
+	const sameClock = Object.values(events).filter((other) => other.logged === event.logged);
+	const start =
+		events.registrationStart && events.registrationStart.logged === event.logged
+			? events.registrationStart
+			: sameClock.reduce((earliest, other) => (other.at < earliest.at ? other : earliest));
+	return event.at - start.at;
+}
+
+// Creates a parser for one session: msin is the first MSIN of the session, ueCount the number of UEs PacketRusher
+// was asked to register. Returns { parseLine(line, receivedAt), finish() }.
+function createOutputParser({ msin, ueCount, msinLength = 10 }) {
+	const ues = new Map();
+	let currentMsin = null;
+
+	const formatUeMsin = (value) => String(value).padStart(msinLength, '0');
+
+	for (let i = 0; i < ueCount; i++) {
+		const ueMsin = formatUeMsin(msin + i);
+		ues.set(ueMsin, { msin: ueMsin, events: {}, failure: null });
+	}
+
+	// The UE a line is about: an IMSI / MSIN in the line, a PacketRusher UE id ("[UE-3]", "ue id=3") counted from the
+	// session's first MSIN, or the UE of the last line that named one
+	const identifyUe = (line) => {
+		const imsiMatch = line.match(/\b(?:imsi|msin)[-=:\s"]*(\d{5,15})\b/i);
+		if (imsiMatch) {
+			const digits = imsiMatch[1];
+			return digits.length === 15 ? digits.slice(-msinLength) : formatUeMsin(digits);
+		}
+
+		const idMatch = line.match(/\[UE-(\d+)\]/i) || line.match(/\bue[ _-]?id[=:\s"]*(\d+)/i);
+		if (idMatch) {
+			return formatUeMsin(msin + parseInt(idMatch[1]) - 1);
+		}
+
+		return currentMsin;
+	};
+
+	const parseLine = (line, receivedAt = Date.now()) => {
+		const failure = FAILURE_PATTERNS.find(({ pattern }) => pattern.test(line));
+		const milestone = failure ? null : STAGE_PATTERNS.find(({ pattern }) => pattern.test(line));
+		const ueMsin = identifyUe(line);
+		if (ueMsin) {
+			currentMsin = ueMsin;
+		}
+		if (!ueMsin || (!failure && !milestone)) {
+			return null;
+		}
+
+		// UEs outside the session's range still get a record so unexpected output is not lost
+		if (!ues.has(ueMsin)) {
+			ues.set(ueMsin, { msin: ueMsin, events: {}, failure: null });
+		}
+		const ue = ues.get(ueMsin);
+		const timestamp = lineTimestamp(line, receivedAt);
+
+		if (failure) {
+			if (!ue.failure) {
+				ue.failure = { stage: failure.stage, message: line.trim(), at: timestamp.at };
+			}
+			return { msin: ueMsin, failure: failure.stage };
+		}
+
+		// Keep the first time a milestone is seen; retransmissions do not move it
+		if (ue.events[milestone.stage] === undefined) {
+			ue.events[milestone.stage] = timestamp;
+		}
+		return { msin: ueMsin, stage: milestone.stage };
+	};
+
+	// Per-UE outcome and latency records plus a summary; call once the process has exited
+	const finish = () => {
+		const results = [...ues.values()].map((ue) => {
+			const latencies = {};
+			Object.entries(LATENCY_STAGES).forEach(([key, stage]) => {
+				latencies[key] = stageLatency(ue.events, stage);
+			});
+
+			let outcome = 'incomplete';
+			if (ue.failure) {
+				outcome = 'failed';
+			} else if (ue.events.pduSession !== undefined) {
+				outcome = 'pduEstablished';
+			} else if (ue.events.registered !== undefined) {
+				outcome = 'registered';
+			}
+
+			return {
+				msin: ue.msin,
+				outcome,
+				failedStage: ue.failure ? ue.failure.stage : null,
+				failureMessage: ue.failure ? ue.failure.message : null,
+				stages: Object.keys(ue.events),
+				latencies,
+			};
+		});
+
+		const summary = { attempted: results.length, registered: 0, pduEstablished: 0, failed: 0, incomplete: 0 };
+		results.forEach((result) => {
+			if (result.outcome === 'registered' || result.outcome === 'pduEstablished') {
+				summary.registered++;
+			}
+			if (result.outcome === 'pduEstablished') {
+				summary.pduEstablished++;
+			}
+			if (result.outcome === 'failed' || result.outcome === 'incomplete') {
+				summary[result.outcome]++;
+			}
+		});
+
+		return { summary, results };
+	};
+
+	return { parseLine, finish };
+}
+
+module.exports = {
+	STAGE_PATTERNS,
+	FAILURE_PATTERNS,
+	createOutputParser,
+};
@@ -0,0 +1,131 @@
+// passenger-ratios.js - Foreign-passenger ratio table per departure airport
+const fs = require('fs').promises;
+const path = require('path');
+
+const RATIOS_PATH = process.env.PASSENGER_RATIOS_PATH || path.join(__dirname, 'data', 'passenger-ratios.json');
+
+// Special keys: DEFAULT for unknown origins, DOMESTIC for origins in the arrival airport's country
+const DEFAULT_KEY = 'DEFAULT';
+const DOMESTIC_KEY = 'DOMESTIC';
+
+const DEFAULT_RATIOS = {
+	[DEFAULT_KEY]: { min: 0.4, max: 0.6 },
+	[DOMESTIC_KEY]: { min: 0.02, max: 0.08 },
+	RJAA: { min: 0.65, max: 0.85 },
+	RJBB: { min: 0.6, max: 0.8 },
+	RJFF: { min: 0.6, max: 0.8 },
+	RJTT: { min: 0.6, max: 0.8 },
+	RPLL: { min: 0.6, max: 0.8 },
+	RCTP: { min: 0.55, max: 0.75 },
+	VHHH: { min: 0.5, max: 0.7 },
+	WSSS: { min: 0.5, max: 0.7 },
+	VTBS: { min: 0.45, max: 0.65 },
+};
+
+let ratios = { ...DEFAULT_RATIOS };
+
+async function loadPassengerRatios() {
+	try {
+		const content = await fs.readFile(RATIOS_PATH, 'utf8');
+		ratios = {
+			[DEFAULT_KEY]: DEFAULT_RATIOS[DEFAULT_KEY],
+			[DOMESTIC_KEY]: DEFAULT_RATIOS[DOMESTIC_KEY],
+			...JSON.parse(content),
+		};
+	} catch (err) {
+		if (err.code !== 'ENOENT') {
+			throw err;
+		}
+	}
+	return ratios;
+}
+
+async function savePassengerRatios() {
+	await fs.mkdir(path.dirname(RATIOS_PATH), { recursive: true });
+	await fs.writeFile(RATIOS_PATH, JSON.stringify(ratios, null, 2), 'utf8');
+}
+
+function getPassengerRatios() {
+	return ratios;
+}
+
+// ICAO codes share their first two letters within a country (RKSI, RKPC...), which identifies domestic routes
+function isDomestic(departureAirport, arrivalAirport) {
+	return Boolean(departureAirport && arrivalAirport && departureAirport.slice(0, 2) === arrivalAirport.slice(0, 2));
+}
+
+// Resolve { key, min, max } for a route, in order: exact origin, domestic, default
+function resolveRatio(departureAirport, arrivalAirport) {
+	if (departureAirport && ratios[departureAirport]) {
+		return { key: departureAirport, ...ratios[departureAirport] };
+	}
+	if (isDomestic(departureAirport, arrivalAirport)) {
+		return { key: DOMESTIC_KEY, ...ratios[DOMESTIC_KEY] };
+	}
+	return { key: DEFAULT_KEY, ...ratios[DEFAULT_KEY] };
+}
+
+function normalizeKey(airport) {
+	const key = String(airport || '')
+		.trim()
+		.toUpperCase();
+	if (key !== DEFAULT_KEY && key !== DOMESTIC_KEY && !/^[A-Z0-9]{4}$/.test(key)) {
+		throw new Error(`Invalid departure airport: "${airport}" (use an ICAO code, ${DEFAULT_KEY} or ${DOMESTIC_KEY})`);
+	}
+	return key;
+}
+
+const RATIO_UNITS = ['percent', 'fraction'];
+
+// Ratios are given as percentages (40) unless unit is 'fraction' (0.4); the unit is never guessed from the value
+function parseRatio(value, label, unit) {
+	const ratio = Number(value);
+	const limit = unit === 'fraction' ? 1 : 100;
+	if (value === '' || value === null || !Number.isFinite(ratio) || ratio < 0 || ratio > limit) {
+		throw new Error(`Invalid ${label} ratio: "${value}" (use 0 to ${limit}${unit === 'fraction' ? '' : ' %'})`);
+	}
+	const fraction = unit === 'fraction' ? ratio : ratio / 100;
+	return Math.round(fraction * 10000) / 10000;
+}
+
+async function setPassengerRatio(airport, { min, max, unit = 'percent' }) {
+	const key = normalizeKey(airport);
+	if (!RATIO_UNITS.includes(unit)) {
+		throw new Error(`Unknown ratio unit "${unit}" (use ${RATIO_UNITS.join(' or ')})`);
+	}
+	const minRatio = parseRatio(min, 'minimum', unit);
+	const maxRatio = parseRatio(max, 'maximum', unit);
+	if (minRatio > maxRatio) {
+		throw new Error('Minimum ratio cannot be greater than maximum ratio');
+	}
+
+	ratios[key] = { min: minRatio, max: maxRatio };
+	await savePassengerRatios();
+	return ratios[key];
+}
+
+// DEFAULT and DOMESTIC are reset to their built-in values instead of removed
+async function removePassengerRatio(airport) {
+	const key = normalizeKey(airport);
+	if (DEFAULT_RATIOS[key] && (key === DEFAULT_KEY || key === DOMESTIC_KEY)) {
+		ratios[key] = { ...DEFAULT_RATIOS[key] };
+	} else if (ratios[key]) {
+		delete ratios[key];
+	} else {
+		return false;
+	}
+
+	await savePassengerRatios();
+	return true;
+}
+
+module.exports = {
+	DEFAULT_KEY,
+	DOMESTIC_KEY,
+	RATIO_UNITS,
+	loadPassengerRatios,
+	getPassengerRatios,
+	resolveRatio,
+	setPassengerRatio,
+	removePassengerRatio,
+};
@@ -0,0 +1,56 @@
+// passengers.js - Deterministic, seedable foreign-passenger estimation
+const { getAirportTimezone, formatZonedDateKey } = require('./timezones');
+
+const DEFAULT_PASSENGERS = 174; // Passengers per arrival
+const DEFAULT_MIN_RATIO = 0.4;
+const DEFAULT_MAX_RATIO = 0.6;
+
+// Default seed is the airport's calendar day, so every flight keeps its UE count until midnight at the airport
+function defaultSeed(airport = 'RKSI', date = new Date()) {
+	return formatZonedDateKey(date, getAirportTimezone(airport));
+}
+
+// FNV-1a string hash, used to turn seed + flight identity into a 32-bit PRNG state
+function hashString(value) {
+	let hash = 0x811c9dc5;
+	for (let i = 0; i < value.length; i++) {
+		hash ^= value.charCodeAt(i);
+		hash = Math.imul(hash, 0x01000193);
+	}
+	return hash >>> 0;
+}
+
+// mulberry32 PRNG, returns a function producing floats in [0, 1)
+function createRandom(seed) {
+	let state = typeof seed === 'number' ? seed >>> 0 : hashString(String(seed));
+	return () => {
+		state = (state + 0x6d2b79f5) >>> 0;
+		let t = state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+// Stable identity of a flight entry (OpenSky shape or uploaded schedule entry)
+function flightKey(flight) {
+	return [flight.icao24 || '', (flight.callsign || '').trim(), flight.firstSeen || flight.lastSeen || flight.time || ''].join(
+		'|'
+	);
+}
+
+// Estimated foreigners are minRatio - maxRatio of total passengers, drawn from the seeded PRNG
+function estimateForeignPassengers(
+	flight,
+	{ seed = defaultSeed(), passengers = DEFAULT_PASSENGERS, minRatio = DEFAULT_MIN_RATIO, maxRatio = DEFAULT_MAX_RATIO } = {}
+) {
+	const random = createRandom(`${seed}|${flightKey(flight)}`);
+	return Math.floor(passengers * minRatio + random() * (passengers * maxRatio - passengers * minRatio));
+}
+
+module.exports = {
+	DEFAULT_PASSENGERS,
+	defaultSeed,
+	createRandom,
+	estimateForeignPassengers,
+};
@@ -0,0 +1,61 @@
+// plmn.js - PLMN (MCC + MNC) validation and IMSI layout: MCC (3) + MNC (2 or 3) + MSIN always make 15 digits
+const IMSI_LENGTH = 15;
+
+// Returns { mcc, mnc, key, msinLength }; key ("001-01") identifies the PLMN in the MSIN ledger
+function parsePlmn(mcc, mnc) {
+	const mccText = String(mcc ?? '').trim();
+	const mncText = String(mnc ?? '').trim();
+
+	if (!/^\d{3}$/.test(mccText)) {
+		throw new Error(`MCC must be exactly 3 digits. Current value: "${mccText}"`);
+	}
+	if (!/^\d{2,3}$/.test(mncText)) {
+		throw new Error(`MNC must be 2 or 3 digits. Current value: "${mncText}"`);
+	}
+
+	return {
+		mcc: mccText,
+		mnc: mncText,
+		key: `${mccText}-${mncText}`,
+		msinLength: IMSI_LENGTH - mccText.length - mncText.length,
+	};
+}
+
+// Parses a ledger key such as "001-01" or "310-410"
+function parsePlmnKey(key) {
+	const match = String(key ?? '')
+		.trim()
+		.match(/^(\d+)-(\d+)$/);
+	if (!match) {
+		throw new Error(`PLMN must look like 001-01 or 310-410 (MCC-MNC). Current value: "${key}"`);
+	}
+	return parsePlmn(match[1], match[2]);
+}
+
+// The MSIN must fill the IMSI up to 15 digits: 10 digits with a 2-digit MNC, 9 with a 3-digit MNC
+function validateMsin(msin, plmn) {
+	const msinText = String(msin ?? '').trim();
+	if (!new RegExp(`^\\d{${plmn.msinLength}}$`).test(msinText)) {
+		throw new Error(
+			`Base MSIN must be ${plmn.msinLength} digits for MNC ${plmn.mnc} (IMSI is ${IMSI_LENGTH} digits). Current value: "${msinText}"`
+		);
+	}
+	return msinText;
+}
+
+function formatMsin(msin, plmn) {
+	return typeof msin === 'number' ? msin.toString().padStart(plmn.msinLength, '0') : msin;
+}
+
+function formatImsi(plmn, msin) {
+	return `${plmn.mcc}${plmn.mnc}${formatMsin(msin, plmn)}`;
+}
+
+module.exports = {
+	IMSI_LENGTH,
+	parsePlmn,
+	parsePlmnKey,
+	validateMsin,
+	formatMsin,
+	formatImsi,
+};
@@ -0,0 +1,78 @@
+// process-control.js - Session timeouts and graceful PacketRusher shutdown (SIGINT -> SIGTERM -> SIGKILL)
+const DEFAULT_TIMEOUT_SECONDS = parseFloat(process.env.SESSION_TIMEOUT_SECONDS || '30');
+const DEFAULT_TIMEOUT_PER_UE_SECONDS = parseFloat(process.env.SESSION_TIMEOUT_PER_UE_SECONDS || '0');
+const SHUTDOWN_GRACE_MS = parseInt(process.env.SHUTDOWN_GRACE_MS || '5000');
+const MAX_TIMEOUT_SECONDS = 24 * 60 * 60;
+
+// Escalation order; each signal gets SHUTDOWN_GRACE_MS to work before the next one is sent
+const SHUTDOWN_SIGNALS = ['SIGINT', 'SIGTERM', 'SIGKILL'];
+
+// Seconds from a form field or setting; 0 means "run until stopped"
+function parseTimeoutSeconds(value, label = 'Session timeout') {
+	const seconds = Number(value);
+	if (!Number.isFinite(seconds) || seconds < 0 || seconds > MAX_TIMEOUT_SECONDS) {
+		throw new Error(`${label} must be between 0 (run until stopped) and ${MAX_TIMEOUT_SECONDS} seconds`);
+	}
+	return seconds;
+}
+
+// Timeout in ms for a session, or null when it runs until stopped. Large bursts get perUeSeconds per UE on top.
+function resolveTimeoutMs({
+	timeoutSeconds = DEFAULT_TIMEOUT_SECONDS,
+	perUeSeconds = DEFAULT_TIMEOUT_PER_UE_SECONDS,
+	ueCount = 1,
+}) {
+	if (!timeoutSeconds) {
+		return null;
+	}
+	return Math.round((timeoutSeconds + perUeSeconds * ueCount) * 1000);
+}
+
+function formatDuration(ms) {
+	return `${Math.round(ms / 1000)}s`;
+}
+
+function describeTimeout(timeoutMs) {
+	return timeoutMs === null ? 'until stopped' : formatDuration(timeoutMs);
+}
+
+// Ask a child process to exit, escalating through SHUTDOWN_SIGNALS; resolves with the last signal sent
+function terminateProcess(child, { graceMs = SHUTDOWN_GRACE_MS, onSignal = () => {} } = {}) {
+	return new Promise((resolve) => {
+		if (child.exitCode !== null || child.signalCode !== null) {
+			resolve(null);
+			return;
+		}
+
+		let lastSignal = null;
+		let escalationTimer = null;
+
+		child.once('exit', () => {
+			clearTimeout(escalationTimer);
+			resolve(lastSignal);
+		});
+
+		const sendSignal = (index) => {
+			lastSignal = SHUTDOWN_SIGNALS[index];
+			onSignal(lastSignal);
+			child.kill(lastSignal);
+
+			if (index + 1 < SHUTDOWN_SIGNALS.length) {
+				escalationTimer = setTimeout(() => sendSignal(index + 1), graceMs);
+			}
+		};
+
+		sendSignal(0);
+	});
+}
+
+module.exports = {
+	DEFAULT_TIMEOUT_SECONDS,
+	DEFAULT_TIMEOUT_PER_UE_SECONDS,
+	SHUTDOWN_GRACE_MS,
+	parseTimeoutSeconds,
+	resolveTimeoutMs,
+	formatDuration,
+	describeTimeout,
+	terminateProcess,
+};
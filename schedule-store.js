@@ -0,0 +1,53 @@
+// schedule-store.js - Persist the active schedule, MSIN counters and session counters across restarts
+const fs = require('fs').promises;
+const path = require('path');
+
+const SCHEDULE_STATE_PATH = process.env.SCHEDULE_STATE_PATH || path.join(__dirname, 'data', 'schedule-state.json');
+
+// What to do with sessions whose time passed while the server was down: "skip" them or "catchup" (run right away)
+const PAST_DUE_POLICIES = ['skip', 'catchup'];
+
+function getPastDuePolicy() {
+	const policy = String(process.env.PAST_DUE_POLICY || 'skip').toLowerCase();
+	return PAST_DUE_POLICIES.includes(policy) ? policy : 'skip';
+}
+
+// Returns the stored state, or null when nothing was persisted
+async function loadScheduleState() {
+	try {
+		const content = await fs.readFile(SCHEDULE_STATE_PATH, 'utf8');
+		return JSON.parse(content);
+	} catch (err) {
+		if (err.code === 'ENOENT') {
+			return null;
+		}
+		throw err;
+	}
+}
+
+// Write through a temporary file so a crash mid-write never leaves a truncated store
+async function saveScheduleState(state) {
+	await fs.mkdir(path.dirname(SCHEDULE_STATE_PATH), { recursive: true });
+	const tempPath = `${SCHEDULE_STATE_PATH}.tmp`;
+	await fs.writeFile(tempPath, JSON.stringify({ ...state, savedAt: new Date().toISOString() }, null, 2), 'utf8');
+	await fs.rename(tempPath, SCHEDULE_STATE_PATH);
+}
+
+async function clearScheduleState() {
+	try {
+		await fs.unlink(SCHEDULE_STATE_PATH);
+	} catch (err) {
+		if (err.code !== 'ENOENT') {
+			throw err;
+		}
+	}
+}
+
+module.exports = {
+	SCHEDULE_STATE_PATH,
+	PAST_DUE_POLICIES,
+	getPastDuePolicy,
+	loadScheduleState,
+	saveScheduleState,
+	clearScheduleState,
+};
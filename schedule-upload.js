@@ -0,0 +1,193 @@
+// schedule-upload.js - Parse and validate uploaded arrival schedules (CSV or JSON)
+const MAX_PASSENGERS = 1000;
+const CALLSIGN_PATTERN = /^[A-Z0-9]{0,10}$/;
+
+// Column name aliases accepted in CSV headers and JSON objects
+const FIELD_ALIASES = {
+	time: ['time', 'arrival', 'arrivaltime', 'arrival_time'],
+	callsign: ['callsign', 'flight', 'flightnumber', 'flight_number'],
+	passengers: ['passengers', 'passengercount', 'passenger_count', 'pax', 'ues', 'uecount', 'ue_count'],
+	airport: ['airport', 'arrivalairport', 'arrival_airport', 'icao'],
+};
+
+// Parse "HH:MM", "HH:MM:SS" (24h) or "h:mm[:ss] AM/PM" into seconds since midnight
+function parseTimeOfDay(value) {
+	const match = String(value || '')
+		.trim()
+		.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AaPp][Mm])?$/);
+	if (!match) return null;
+
+	let hours = parseInt(match[1]);
+	const minutes = parseInt(match[2]);
+	const seconds = match[3] ? parseInt(match[3]) : 0;
+	const period = match[4] ? match[4].toUpperCase() : null;
+
+	if (period) {
+		if (hours < 1 || hours > 12) return null;
+		if (period === 'PM' && hours !== 12) hours += 12;
+		if (period === 'AM' && hours === 12) hours = 0;
+	}
+
+	if (hours > 23 || minutes > 59 || seconds > 59) return null;
+	return hours * 3600 + minutes * 60 + seconds;
+}
+
+// Format seconds since midnight the same way the flight data endpoints do ("9:05:00 PM")
+function formatTimeOfDay(totalSeconds) {
+	const hours = Math.floor(totalSeconds / 3600);
+	const minutes = Math.floor((totalSeconds % 3600) / 60);
+	const seconds = totalSeconds % 60;
+	const period = hours >= 12 ? 'PM' : 'AM';
+	const hours12 = hours % 12 === 0 ? 12 : hours % 12;
+	return `${hours12}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')} ${period}`;
+}
+
+function normalizeKey(key) {
+	return String(key).trim().toLowerCase().replace(/\s+/g, '_');
+}
+
+function pickField(record, field) {
+	for (const [key, value] of Object.entries(record)) {
+		const normalized = normalizeKey(key);
+		if (FIELD_ALIASES[field].includes(normalized) || FIELD_ALIASES[field].includes(normalized.replace(/_/g, ''))) {
+			return value;
+		}
+	}
+	return undefined;
+}
+
+// Minimal CSV line splitter supporting double-quoted fields
+function splitCsvLine(line) {
+	const fields = [];
+	let current = '';
+	let inQuotes = false;
+
+	for (let i = 0; i < line.length; i++) {
+		const char = line[i];
+		if (char === '"') {
+			if (inQuotes && line[i + 1] === '"') {
+				current += '"';
+				i++;
+			} else {
+				inQuotes = !inQuotes;
+			}
+		} else if (char === ',' && !inQuotes) {
+			fields.push(current.trim());
+			current = '';
+		} else {
+			current += char;
+		}
+	}
+	fields.push(current.trim());
+	return fields;
+}
+
+// CSV with a header row (time, callsign, passengers[, airport]) or headerless rows in that order
+function parseCsvRecords(content) {
+	const lines = content
+		.split(/\r?\n/)
+		.map((line, index) => ({ text: line.trim(), lineNumber: index + 1 }))
+		.filter((line) => line.text && !line.text.startsWith('#'));
+
+	if (lines.length === 0) return [];
+
+	const firstRow = splitCsvLine(lines[0].text);
+	const hasHeader = parseTimeOfDay(firstRow[0]) === null && firstRow.some((cell) => /[a-z]/i.test(cell));
+	const header = hasHeader ? firstRow : ['time', 'callsign', 'passengers', 'airport'];
+
+	return lines.slice(hasHeader ? 1 : 0).map((line) => {
+		const cells = splitCsvLine(line.text);
+		const record = {};
+		header.forEach((name, index) => {
+			record[name] = cells[index];
+		});
+		return { record, lineNumber: line.lineNumber };
+	});
+}
+
+// JSON array of objects, or an object with an "arrivals"/"flights" array
+function parseJsonRecords(content) {
+	const parsed = JSON.parse(content);
+	const list = Array.isArray(parsed) ? parsed : parsed.arrivals || parsed.flights;
+
+	if (!Array.isArray(list)) {
+		throw new Error('JSON schedule must be an array or contain an "arrivals" array');
+	}
+
+	return list.map((record, index) => ({ record: record || {}, lineNumber: index + 1 }));
+}
+
+function detectFormat(fileName = '', content = '') {
+	if (/\.json$/i.test(fileName)) return 'json';
+	if (/\.csv$/i.test(fileName)) return 'csv';
+	return /^\s*[[{]/.test(content) ? 'json' : 'csv';
+}
+
+// Returns { format, entries, errors }; entries are sorted by time of day
+function parseSchedule(content, fileName = '') {
+	const format = detectFormat(fileName, content);
+	const errors = [];
+	let records = [];
+
+	try {
+		records = format === 'json' ? parseJsonRecords(content) : parseCsvRecords(content);
+	} catch (err) {
+		return { format, entries: [], errors: [`Could not parse ${format.toUpperCase()}: ${err.message}`] };
+	}
+
+	const label = format === 'json' ? 'Entry' : 'Line';
+	const entries = [];
+
+	records.forEach(({ record, lineNumber }) => {
+		const rawTime = pickField(record, 'time');
+		const rawCallsign = pickField(record, 'callsign');
+		const rawPassengers = pickField(record, 'passengers');
+		const rawAirport = pickField(record, 'airport');
+
+		const seconds = parseTimeOfDay(rawTime);
+		if (seconds === null) {
+			errors.push(`${label} ${lineNumber}: invalid time "${rawTime ?? ''}" (use HH:MM[:SS] or h:mm[:ss] AM/PM)`);
+			return;
+		}
+
+		const callsign = String(rawCallsign ?? '')
+			.trim()
+			.toUpperCase();
+		if (!CALLSIGN_PATTERN.test(callsign)) {
+			errors.push(`${label} ${lineNumber}: invalid callsign "${rawCallsign}"`);
+			return;
+		}
+
+		const passengers = Number(rawPassengers);
+		if (!Number.isInteger(passengers) || passengers < 1 || passengers > MAX_PASSENGERS) {
+			errors.push(`${label} ${lineNumber}: passenger count must be an integer between 1 and ${MAX_PASSENGERS}`);
+			return;
+		}
+
+		// Optional arrival airport; entries without one are scheduled for the first selected airport
+		const airport = String(rawAirport ?? '')
+			.trim()
+			.toUpperCase();
+		if (airport && !/^[A-Z0-9]{4}$/.test(airport)) {
+			errors.push(`${label} ${lineNumber}: invalid airport "${rawAirport}"`);
+			return;
+		}
+
+		entries.push({ seconds, time: formatTimeOfDay(seconds), callsign, passengers, airport: airport || null });
+	});
+
+	if (records.length === 0) {
+		errors.push('Schedule is empty');
+	}
+
+	entries.sort((a, b) => a.seconds - b.seconds);
+	return { format, entries, errors };
+}
+
+module.exports = {
+	MAX_PASSENGERS,
+	parseTimeOfDay,
+	formatTimeOfDay,
+	splitCsvLine,
+	parseSchedule,
+};
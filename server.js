@@ -2,11 +2,96 @@
 const fs = require('fs').promises;
 const fsConstants = require('fs').constants;
 const path = require('path');
+const { randomUUID } = require('crypto');
 const { spawn, exec } = require('child_process');
-const yaml = require('js-yaml');
 const WebSocket = require('ws');
 const express = require('express');
 const cors = require('cors');
+const multer = require('multer');
+const { isMockMode, fetchArrivals, buildMockArrivals } = require('./opensky');
+const { isExpired, saveSnapshot, loadSnapshot, listSnapshots, deleteSnapshot } = require('./flight-cache');
+const { MAX_PASSENGERS, parseSchedule, parseTimeOfDay } = require('./schedule-upload');
+const { getPastDuePolicy, loadScheduleState, saveScheduleState, clearScheduleState } = require('./schedule-store');
+const {
+	parseMaxConcurrency,
+	parseOverlapPolicy,
+	configureQueue,
+	getQueueStatus,
+	enqueueJob,
+	removeJob,
+	clearQueue,
+} = require('./session-queue');
+const { loadConfigTemplate, applyPlmn, checkPlmnConsistency, renderSessionConfig } = require('./session-config');
+const { createOutputParser } = require('./packetrusher-parser');
+const {
+	loadSessionHistory,
+	addSessionRecord,
+	listSessionRecords,
+	getSessionRecords,
+	getSessionRecord,
+} = require('./session-history');
+const { PERCENTILES, LATENCY_KEYS, parseWindowHours, computeMetrics } = require('./session-metrics');
+const {
+	loadSubscriberProfiles,
+	getSubscriberProfiles,
+	importSubscriberProfiles,
+	removeSubscriberProfile,
+	clearSubscriberProfiles,
+	resolveSubscriberProfile,
+	describeProfile,
+} = require('./subscriber-profiles');
+const { parsePlmn, parsePlmnKey, validateMsin, formatMsin: formatPlmnMsin } = require('./plmn');
+const {
+	loadMsinLedger,
+	allocateMsinRange,
+	planMsinRanges,
+	reserveMsinRange,
+	releaseMsinRange,
+	listMsinAllocations,
+	getMsinAllocation,
+} = require('./msin-allocator');
+const {
+	buildFree5gcSubscriber,
+	buildOpen5gsSubscribers,
+	validateFree5gcSubscriber,
+	validateOpen5gsSubscriber,
+} = require('./subscriber-export');
+const {
+	DEFAULT_TIMEOUT_SECONDS,
+	DEFAULT_TIMEOUT_PER_UE_SECONDS,
+	parseTimeoutSeconds,
+	resolveTimeoutMs,
+	formatDuration,
+	describeTimeout,
+	terminateProcess,
+} = require('./process-control');
+const { defaultSeed, estimateForeignPassengers } = require('./passengers');
+const {
+	loadCapacityTables,
+	getCapacityTables,
+	resolveCapacity,
+	setAirline,
+	setAircraftType,
+	setIcao24Aircraft,
+	removeEntry,
+} = require('./capacity');
+const {
+	loadPassengerRatios,
+	getPassengerRatios,
+	resolveRatio,
+	setPassengerRatio,
+	removePassengerRatio,
+} = require('./passenger-ratios');
+const {
+	isValidTimezone,
+	getAirportTimezone,
+	getZonedParts,
+	zonedTimeToEpoch,
+	startOfZonedDay,
+	formatZonedDateKey,
+	formatZonedTime,
+	timeOfDayOnDay,
+} = require('./timezones');
 
 const app = express();
 const PORT = 3000;
@@ -17,6 +102,12 @@ app.use(express.json()); // For parsing JSON bodies
 app.use(express.urlencoded({ extended: true })); // For parsing URL-encoded bodies
 app.use(express.static('public')); // For serving static files if needed
 
+// Uploaded flight schedules are small text files, keep them in memory
+const scheduleUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 1024 * 1024 } });
+
+// Subscriber profile CSVs can list many ranges, but are still small text files
+const profileUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
+
 // Add debugging middleware to log all requests
 app.use((req, res, next) => {
 	console.log(`${req.method} ${req.url}`);
@@ -29,9 +120,14 @@ app.use((req, res, next) => {
 
 // Paths to packetrusher folder (sibling folder)
 const PACKETRUSHER_DIR = path.join(__dirname, '..', 'PacketRusher');
+// The operator's config.yml is only read, as the template of every session's own config file
 const CONFIG_PATH = path.join(PACKETRUSHER_DIR, 'config', 'config.yml');
 const BINARY_PATH = path.join(PACKETRUSHER_DIR, 'packetrusher');
 
+// Each arrival airport of a multi-airport schedule gets its own block of MSINs
+const MSIN_BLOCK_SIZE = parseInt(process.env.MSIN_BLOCK_SIZE || '1000000');
+const MAX_EXPORT_UES = parseInt(process.env.MAX_EXPORT_UES || '100000'); // Open5GS exports hold one document per UE
+
 // Global WebSocket connections
 let wsClients = [];
 
@@ -42,8 +138,26 @@ let serverState = {
 	totalUeCount: 0,
 	baseMsin: null,
 	currentMsinBase: null,
+	baseIMSI: null, // MCC + MNC + base MSIN of the active schedule, kept so restored sessions can be re-armed
+	plmn: null, // { mcc, mnc, key, msinLength } of the active schedule
+	msinRanges: {}, // airport -> { base, current } MSIN range for scheduled sessions
 	scheduledSessions: [],
 	isRunning: false,
+	selectedSnapshot: null, // { airport, date } picked for reproducible scheduled runs
+	uploadedSchedule: null, // { fileName, format, uploadedAt, entries } used instead of flight data when set
+	passengerSeed: null, // seed used for the foreign-passenger estimation of the active schedule
+	displayTimezone: process.env.DISPLAY_TIMEZONE || null, // null shows each airport's local time
+	simulation: null, // { factor, realStart, simStart, timeZone } while a time-compressed schedule is active
+	simulationTimer: null,
+	recurrence: null, // { mode, startDate, endDate, seed, displayTimezone, days } while a recurring schedule is active
+	rolloverTimers: {}, // airport -> midnight rollover timer of the recurring schedule
+	// Global session timeout (0 = run until stopped) plus seconds per UE; sessions may override timeoutSeconds
+	timeouts: { timeoutSeconds: DEFAULT_TIMEOUT_SECONDS, perUeSeconds: DEFAULT_TIMEOUT_PER_UE_SECONDS },
+	// Process id -> { child, sessionNumber, ueCount, aborted } for every running PacketRusher process. Session numbers
+	// restart with every schedule, so a process still exiting after Stop must not share a key with a new session.
+	liveProcesses: new Map(),
+	runNowTimer: null, // a Run Now session about to be submitted
+	activeAllocationIds: new Set(), // MSIN ledger allocations of running sessions, which cannot be released
 	sessionLogs: [],
 	packetrusherLogs: [],
 };
@@ -53,6 +167,46 @@ function formatTime() {
 	return new Date().toLocaleTimeString();
 }
 
+// Helper function to escape text (PacketRusher output, user input) for HTML
+function escapeHtml(text) {
+	return String(text ?? '')
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;');
+}
+
+// Helper function to format an MSIN for display (numbers are zero-padded to the PLMN's MSIN length, 10 by default)
+function formatMsin(msin, plmn = serverState.plmn) {
+	return formatPlmnMsin(msin, plmn || { msinLength: 10 });
+}
+
+// Helper function to format a ledger allocation's MSIN range ("0000000001-0000000005")
+function formatAllocationRange(allocation) {
+	const plmn = parsePlmnKey(allocation.plmn);
+	return `${formatMsin(allocation.start, plmn)}-${formatMsin(allocation.end, plmn)}`;
+}
+
+// Helper function to get the PLMN of the active schedule; schedules saved before 3-digit MNC support used 2-digit MNCs
+function sessionPlmn(baseIMSI) {
+	return serverState.plmn || parsePlmn(baseIMSI.slice(0, 3), baseIMSI.slice(3, 5));
+}
+
+// Helper function to parse a comma-separated list of ICAO arrival airports
+function parseAirportList(value, fallback = 'RKSI') {
+	const airports = String(value || fallback)
+		.split(/[\s,]+/)
+		.map((airport) => airport.trim().toUpperCase())
+		.filter(Boolean);
+
+	const invalid = airports.find((airport) => !/^[A-Z0-9]{4}$/.test(airport));
+	if (invalid) {
+		throw new Error(`Invalid ICAO airport code: "${invalid}"`);
+	}
+
+	return [...new Set(airports)];
+}
+
 // Helper function to add log entry
 function addLog(message, type = 'session') {
 	const logEntry = `[${formatTime()}] ${message}`;
@@ -100,14 +254,28 @@ function updateNextSessionDisplay() {
 
 	const now = new Date();
 	const upcomingSessions = serverState.scheduledSessions
-		.filter((s) => s.scheduledAt.getTime() > now.getTime())
+		.filter((s) => s.status === 'pending' && s.scheduledAt.getTime() > now.getTime())
 		.sort((a, b) => a.scheduledAt.getTime() - b.scheduledAt.getTime());
 
+	// Time-compressed schedules also show the simulated clock
+	const simulation = serverState.simulation;
+	const clockLine = simulation
+		? `Simulated clock (${simulation.factor}x): ${formatZonedTime(getSimulatedNow(), simulation.timeZone)}<br>`
+		: '';
+
 	if (upcomingSessions.length > 0) {
 		const nextSession = upcomingSessions[0];
 		const timeToNext = Math.round((nextSession.scheduledAt.getTime() - now.getTime()) / 1000);
 		return `<div id="next-session-info" class="status" style="margin-top: 15px; background: #007bff; display: block;">
-			Next session: ${nextSession.originalTimeStr} (${nextSession.ueCount} UEs) in ${timeToNext}s
+			${clockLine}Next session: ${nextSession.airport} ${nextSession.originalTimeStr} (${nextSession.ueCount} UEs) in ${timeToNext}s${
+			simulation ? ' (real time)' : ''
+		}
+		</div>`;
+	} else if (serverState.recurrence) {
+		return `<div id="next-session-info" class="status" style="margin-top: 15px; background: #4CAF50; display: block;">
+			No more sessions today. Recurring schedule (${describeRecurrence(
+				serverState.recurrence
+			)}) rolls over at midnight airport time.
 		</div>`;
 	} else if (serverState.sessionCount > 0) {
 		return `<div id="next-session-info" class="status" style="margin-top: 15px; background: #4CAF50; display: block;">
@@ -118,8 +286,1387 @@ function updateNextSessionDisplay() {
 			No future sessions were scheduled (e.g., all flight times past or no data).
 		</div>`;
 	}
-
-	return `<div id="next-session-info" class="status" style="margin-top: 15px; background: #007bff; display: none;"></div>`;
+
+	return `<div id="next-session-info" class="status" style="margin-top: 15px; background: #007bff; display: none;"></div>`;
+}
+
+// Helper function to get the simulated time of a time-compressed schedule (real time when not compressed)
+function getSimulatedNow() {
+	const simulation = serverState.simulation;
+	if (!simulation) {
+		return new Date();
+	}
+	return new Date(simulation.simStart + (Date.now() - simulation.realStart) * simulation.factor);
+}
+
+// Helper function to push the next session display to all clients
+function broadcastNextSessionDisplay() {
+	const updateHtml = `<div hx-swap-oob="outerHTML:#next-session-info">${updateNextSessionDisplay()}</div>`;
+
+	wsClients.forEach((ws) => {
+		if (ws.readyState === 1) {
+			ws.send(updateHtml);
+		}
+	});
+}
+
+// Helper function to tick the simulated clock shown in #next-session-info until the last session has started
+function startSimulationTimer() {
+	serverState.simulationTimer = setInterval(() => {
+		if (!serverState.scheduledSessions.some((session) => session.scheduledAt.getTime() > Date.now())) {
+			clearInterval(serverState.simulationTimer);
+			serverState.simulationTimer = null;
+		}
+		broadcastNextSessionDisplay();
+	}, 1000);
+}
+
+// Helper function to stop the simulated clock
+function stopSimulation() {
+	if (serverState.simulationTimer) {
+		clearInterval(serverState.simulationTimer);
+	}
+	serverState.simulationTimer = null;
+	serverState.simulation = null;
+}
+
+// Helper function to persist the schedule, MSIN counters and session counters (saves are chained so they never interleave)
+let persistQueue = Promise.resolve();
+function persistScheduleState() {
+	const state = {
+		currentRunMode: serverState.currentRunMode,
+		sessionCount: serverState.sessionCount,
+		totalUeCount: serverState.totalUeCount,
+		baseIMSI: serverState.baseIMSI,
+		plmn: serverState.plmn,
+		baseMsin: serverState.baseMsin,
+		currentMsinBase: serverState.currentMsinBase,
+		msinRanges: serverState.msinRanges,
+		passengerSeed: serverState.passengerSeed,
+		displayTimezone: serverState.displayTimezone,
+		simulation: serverState.simulation,
+		recurrence: serverState.recurrence,
+		timeouts: serverState.timeouts,
+		queue: { maxConcurrency: getQueueStatus().maxConcurrency, overlapPolicy: getQueueStatus().overlapPolicy },
+		scheduledSessions: serverState.scheduledSessions.map((session) => ({
+			entryId: session.entryId,
+			type: session.type,
+			trigger: session.trigger,
+			airport: session.airport,
+			callsign: session.callsign,
+			scheduledAt: session.scheduledAt.toISOString(),
+			simulatedAt: session.simulatedAt ? session.simulatedAt.toISOString() : null,
+			originalTimeStr: session.originalTimeStr,
+			ueCount: session.ueCount,
+			status: session.status,
+			mergedInto: session.mergedInto || null,
+			configPath: session.configPath || null,
+			timeoutSeconds: session.timeoutSeconds ?? null,
+		})),
+	};
+
+	persistQueue = persistQueue
+		.then(() => saveScheduleState(state))
+		.catch((err) => console.error(`Could not persist schedule state: ${err.message}`));
+	return persistQueue;
+}
+
+// Helper function to arm the timer of a scheduled session
+function armScheduledSession(session, delay) {
+	session.id = setTimeout(() => submitSession(session), Math.max(delay, 0));
+}
+
+// Helper function to hand a session to the job queue; the overlap policy decides when several sessions meet
+function submitSession(session) {
+	const job = {
+		key: session.airport || null,
+		ueCount: session.ueCount,
+		session,
+		queueAlways: session.type === 'runNow',
+	};
+	const { state, target, position } = enqueueJob(job);
+	const label = session.type === 'scheduled' ? `${session.airport} ${session.originalTimeStr}` : 'Run Now';
+
+	if (state === 'queued') {
+		session.status = 'queued';
+		session.job = job;
+		addLog(`Session ${label} queued (${position} waiting, max ${getQueueStatus().maxConcurrency} at a time)`);
+	} else if (state === 'merged') {
+		session.status = 'merged';
+		session.mergedInto = target.session.entryId;
+		target.session.ueCount = target.ueCount;
+		addLog(
+			`Session ${label} merged into ${target.session.airport} ${target.session.originalTimeStr} (now ${target.ueCount} UEs)`
+		);
+	} else if (state === 'skipped') {
+		session.status = 'skipped';
+		addLog(`Session ${label} skipped: another session is still running (overlap policy: skip)`);
+	}
+
+	if (session.type === 'scheduled') {
+		broadcastScheduleTable();
+		persistScheduleState();
+	}
+}
+
+// Helper function to run a job taken from the queue
+async function runQueuedSession(job) {
+	const session = job.session;
+	session.ueCount = job.ueCount;
+	delete session.job;
+
+	if (session.type === 'scheduled') {
+		session.isRunning = true;
+
+		// Update next session display to show running
+		const runningHtml = `<div hx-swap-oob="outerHTML:#next-session-info">
+			<div id="next-session-info" class="status" style="margin-top: 15px; background: #f57c00; display: block;">
+				Running session for: ${session.airport} ${session.originalTimeStr} (${session.ueCount} UEs)
+			</div>
+		</div>`;
+
+		wsClients.forEach((ws) => {
+			if (ws.readyState === 1) {
+				ws.send(runningHtml);
+			}
+		});
+	}
+
+	// Run the actual session
+	await runMultiUeSession(serverState.baseIMSI, session.ueCount, session);
+}
+
+// Helper function to take a pending or queued session off its timer and out of the queue before it is edited.
+// Sessions merged into it go back to the queue on their own, so their UEs are not lost with it.
+function withdrawSession(session) {
+	clearTimeout(session.id);
+	if (session.status === 'queued' && session.job) {
+		const mergedJobs = removeJob(session.job) || [];
+		session.ueCount = session.job.ueCount;
+		delete session.job;
+
+		mergedJobs.forEach((mergedJob) => {
+			const mergedSession = mergedJob.session;
+			mergedSession.status = 'pending';
+			mergedSession.mergedInto = null;
+			addLog(
+				`Session ${mergedSession.airport} ${mergedSession.originalTimeStr} is no longer merged into ${session.originalTimeStr}`
+			);
+			submitSession(mergedSession);
+		});
+	}
+}
+
+// Helper function to restore a persisted schedule at startup; past-due sessions follow PAST_DUE_POLICY
+async function restoreScheduleState() {
+	const state = await loadScheduleState();
+	if (!state) {
+		return;
+	}
+
+	serverState.currentRunMode = state.currentRunMode || 'scheduled';
+	serverState.sessionCount = state.sessionCount || 0;
+	serverState.totalUeCount = state.totalUeCount || 0;
+	serverState.baseIMSI = state.baseIMSI || null;
+	serverState.plmn = state.plmn || null;
+	serverState.baseMsin = state.baseMsin ?? null;
+	serverState.currentMsinBase = state.currentMsinBase ?? null;
+	serverState.msinRanges = state.msinRanges || {};
+	serverState.passengerSeed = state.passengerSeed || null;
+	serverState.displayTimezone = state.displayTimezone || serverState.displayTimezone;
+	serverState.simulation = state.simulation || null;
+	if (state.queue) {
+		configureQueue(state.queue);
+	}
+	if (state.timeouts) {
+		serverState.timeouts = state.timeouts;
+	}
+
+	const policy = getPastDuePolicy();
+	const now = Date.now();
+	let rearmed = 0;
+	let caughtUp = 0;
+	let skipped = 0;
+
+	serverState.scheduledSessions = (state.scheduledSessions || []).map((stored) => {
+		const session = {
+			...stored,
+			entryId: stored.entryId || randomUUID(),
+			id: null,
+			scheduledAt: new Date(stored.scheduledAt),
+			simulatedAt: stored.simulatedAt ? new Date(stored.simulatedAt) : null,
+			isRunning: false,
+		};
+
+		// Sessions waiting in the queue had not started yet
+		if (session.status === 'queued') {
+			session.status = 'pending';
+		}
+
+		// A session cut off by the shutdown already used its MSIN range, so it is not run again
+		if (session.status === 'running') {
+			session.status = 'failed';
+			addLog(`Session ${session.airport} ${session.originalTimeStr} was interrupted by the restart`);
+			return session;
+		}
+		if (session.status !== 'pending') {
+			return session;
+		}
+
+		const delay = session.scheduledAt.getTime() - now;
+		if (delay > 0) {
+			armScheduledSession(session, delay);
+			rearmed++;
+		} else if (policy === 'catchup') {
+			armScheduledSession(session, 0);
+			caughtUp++;
+		} else {
+			session.status = 'skipped';
+			skipped++;
+		}
+		return session;
+	});
+
+	// A recurring schedule regenerates the day it missed while the server was down
+	if (state.recurrence) {
+		serverState.recurrence = state.recurrence;
+		for (const airport of serverState.recurrence.airports) {
+			const today = formatZonedDateKey(new Date(), getAirportTimezone(airport));
+			if (serverState.recurrence.days[airport] !== today) {
+				rearmed += await scheduleRecurringDay(airport);
+			}
+			armRollover(airport);
+		}
+	}
+
+	serverState.isRunning = rearmed + caughtUp > 0 || Boolean(serverState.recurrence);
+	if (!serverState.isRunning) {
+		serverState.simulation = null;
+	} else if (serverState.simulation) {
+		startSimulationTimer();
+	}
+
+	if (serverState.scheduledSessions.length > 0) {
+		addLog(
+			`Restored schedule: ${rearmed} sessions re-armed, ${caughtUp} past-due caught up, ${skipped} past-due skipped (policy: ${policy})`
+		);
+	}
+	await persistScheduleState();
+}
+
+// Helper function to get the last-week-same-day window (full 24 hours in the airport's timezone) as unix timestamps
+function getLastWeekWindow(airport = 'RKSI', day = new Date()) {
+	const timeZone = getAirportTimezone(airport);
+
+	// Beginning (00:00:00) of the same weekday 7 days ago and the last millisecond (23:59:59.999) of that day
+	const beginMs = startOfZonedDay(day, timeZone, -7);
+	const endMs = startOfZonedDay(day, timeZone, -6) - 1;
+
+	return {
+		beginTimestamp: Math.floor(beginMs / 1000),
+		endTimestamp: Math.floor(endMs / 1000),
+		dateKey: formatZonedDateKey(new Date(beginMs), timeZone),
+	};
+}
+
+// Helper function to validate a requested display timezone; empty means each airport's local time
+function resolveDisplayTimezone(value) {
+	const timeZone = String(value || '').trim();
+	if (!timeZone) {
+		return null;
+	}
+	if (!isValidTimezone(timeZone)) {
+		throw new Error(`Unknown timezone: "${timeZone}" (use an IANA name such as Asia/Seoul or UTC)`);
+	}
+	return timeZone;
+}
+
+// Helper function to load arrivals, in order: picked snapshot, fresh cache, OpenSky Network, stale cache, flight.mjs
+async function loadArrivalFlights({
+	airport = 'RKSI',
+	accessToken,
+	mock = false,
+	refresh = false,
+	day = new Date(),
+} = {}) {
+	// A picked snapshot always wins so scheduled runs are reproducible
+	const selected = serverState.selectedSnapshot;
+	if (selected && selected.airport === airport) {
+		const snapshot = await loadSnapshot(selected.airport, selected.date);
+		if (snapshot) {
+			return { flights: snapshot.flights, source: `snapshot ${selected.airport} ${selected.date} (${snapshot.source})` };
+		}
+		addLog(`Selected flight snapshot ${selected.airport} ${selected.date} no longer exists, ignoring it`);
+		serverState.selectedSnapshot = null;
+	}
+
+	const { beginTimestamp, endTimestamp, dateKey } = getLastWeekWindow(airport, day);
+	const cached = await loadSnapshot(airport, dateKey);
+
+	if (cached && !refresh && !isExpired(cached)) {
+		console.log(`Using cached flight snapshot ${airport} ${dateKey}`);
+		return { flights: cached.flights, source: `cache ${dateKey} (${cached.source})` };
+	}
+
+	const useMock = mock || isMockMode();
+
+	console.log(`Fetching flight data from ${useMock ? 'OpenSky mock' : 'OpenSky Network'}...`);
+	console.log('Begin timestamp:', beginTimestamp);
+	console.log('End timestamp:', endTimestamp);
+
+	try {
+		const flights = await fetchArrivals({
+			airport,
+			begin: beginTimestamp,
+			end: endTimestamp,
+			accessToken: accessToken || process.env.OPENSKY_ACCESS_TOKEN,
+			...(useMock && { baseUrl: `http://localhost:${PORT}/api/mock/opensky` }),
+		});
+		const source = useMock ? 'OpenSky mock' : 'OpenSky Network';
+
+		try {
+			await saveSnapshot(airport, dateKey, flights, source);
+		} catch (err) {
+			console.error('Failed to store flight snapshot:', err.message);
+		}
+
+		return { flights, source };
+	} catch (error) {
+		if (cached) {
+			console.error('OpenSky fetch failed, using expired cache:', error.message);
+			return { flights: cached.flights, source: `expired cache ${dateKey} (${cached.source})`, error: error.message };
+		}
+
+		console.error('OpenSky fetch failed, falling back to flight.mjs:', error.message);
+		// Use dynamic import for ES module (server-side only)
+		const flightModule = await import('./flight.mjs');
+		// flight.mjs spans several days, keep only the requested airport's arrivals on the day's weekday (airport time)
+		const timeZone = getAirportTimezone(airport);
+		const todayWeekday = getZonedParts(day, timeZone).weekday;
+		const flights = flightModule.flight.filter((data) => {
+			const date = new Date((data.firstSeen || data.lastSeen) * 1000);
+			return data.estArrivalAirport === airport && getZonedParts(date, timeZone).weekday === todayWeekday;
+		});
+		return { flights, source: 'flight.mjs (fallback)', error: error.message };
+	}
+}
+
+// Helper function to map arrivals to sorted { time, arrivalTime, callsign, aircraftType, seats, foreignPassengers } entries.
+// Shared by the flight data routes and the scheduler so both always show the same UE counts.
+// arrivalTime is the absolute epoch (ms) of the arrival's time of day on the given day (today by default) in the
+// airport's timezone, time is that instant formatted in the display timezone (the airport's own by default).
+function buildArrivalTimes(flights, seed = defaultSeed(), airport = 'RKSI', displayTimezone = null, day = new Date()) {
+	const timeZone = getAirportTimezone(airport);
+
+	return flights
+		.filter((data) => data.firstSeen || data.lastSeen)
+		.sort((a, b) => (a.firstSeen || a.lastSeen) - (b.firstSeen || b.lastSeen))
+		.map((data) => {
+			const date = new Date((data.firstSeen || data.lastSeen) * 1000);
+			const arrivalTime = timeOfDayOnDay(date, day, timeZone);
+			const capacity = resolveCapacity(data);
+			const ratio = resolveRatio(data.estDepartureAirport, data.estArrivalAirport || airport);
+			const estimationOptions = { seed, passengers: capacity.seats, minRatio: ratio.min, maxRatio: ratio.max };
+
+			return {
+				time: formatZonedTime(arrivalTime, displayTimezone || timeZone),
+				arrivalTime,
+				recordedAt: date.getTime(),
+				callsign: (data.callsign || '').trim(),
+				origin: data.estDepartureAirport || null,
+				ratioKey: ratio.key,
+				minRatio: ratio.min,
+				maxRatio: ratio.max,
+				aircraftType: capacity.aircraftType,
+				seats: capacity.seats,
+				freighter: capacity.freighter,
+				foreignPassengers: capacity.seats > 0 ? estimateForeignPassengers(data, estimationOptions) : 0,
+			};
+		});
+}
+
+// Helper function to list historical days available for replay, from flight.mjs and stored snapshots
+async function listReplayDays(airports) {
+	const days = new Map();
+	const addDay = (value, airport) => {
+		const day = days.get(value) || { value, counts: {} };
+		day.counts[airport] = (day.counts[airport] || 0) + 1;
+		days.set(value, day);
+	};
+
+	const flightModule = await import('./flight.mjs');
+	flightModule.flight.forEach((data) => {
+		const timestamp = data.firstSeen || data.lastSeen;
+		if (!timestamp || !airports.includes(data.estArrivalAirport)) return;
+		const dateKey = formatZonedDateKey(new Date(timestamp * 1000), getAirportTimezone(data.estArrivalAirport));
+		addDay(`dataset:${dateKey}`, data.estArrivalAirport);
+	});
+
+	const snapshots = await listSnapshots();
+	snapshots
+		.filter((snapshot) => airports.includes(snapshot.airport))
+		.forEach((snapshot) => {
+			const day = days.get(`snapshot:${snapshot.date}`) || { value: `snapshot:${snapshot.date}`, counts: {} };
+			day.counts[snapshot.airport] = snapshot.flightCount;
+			days.set(day.value, day);
+		});
+
+	return [...days.values()].sort((a, b) => b.value.split(':')[1].localeCompare(a.value.split(':')[1]));
+}
+
+// Helper function to load one historical day ('dataset:YYYY-MM-DD' or 'snapshot:YYYY-MM-DD') of an airport
+async function loadReplayDayFlights(airport, replayDay) {
+	const [source, date] = String(replayDay || '').split(':');
+	if (!['dataset', 'snapshot'].includes(source) || !/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+		throw new Error(`Invalid replay day: "${replayDay}"`);
+	}
+
+	if (source === 'snapshot') {
+		const snapshot = await loadSnapshot(airport, date);
+		return snapshot ? snapshot.flights : [];
+	}
+
+	// The dataset day is the calendar day in the arrival airport's timezone
+	const timeZone = getAirportTimezone(airport);
+	const flightModule = await import('./flight.mjs');
+	return flightModule.flight.filter((data) => {
+		const timestamp = data.firstSeen || data.lastSeen;
+		return (
+			timestamp &&
+			data.estArrivalAirport === airport &&
+			formatZonedDateKey(new Date(timestamp * 1000), timeZone) === date
+		);
+	});
+}
+
+// Helper function to build one airport's arrivals for a calendar day (airport time), from the uploaded schedule
+// when there is one (entries without an airport belong to the first selected airport) or from flight data
+async function loadDayArrivals(airport, { seed, displayTimezone, firstAirport, day = new Date() }) {
+	const timeZone = getAirportTimezone(airport);
+
+	if (serverState.uploadedSchedule) {
+		// Uploaded times of day are local to the arrival airport
+		const dayParts = getZonedParts(day, timeZone);
+		return serverState.uploadedSchedule.entries
+			.filter((entry) => (entry.airport || firstAirport) === airport)
+			.map((entry) => {
+				const arrivalTime = zonedTimeToEpoch(
+					{ year: dayParts.year, month: dayParts.month, day: dayParts.day, second: entry.seconds },
+					timeZone
+				);
+
+				return {
+					airport,
+					time: formatZonedTime(arrivalTime, displayTimezone || timeZone),
+					arrivalTime,
+					callsign: entry.callsign,
+					foreignPassengers: entry.passengers,
+				};
+			});
+	}
+
+	const { flights } = await loadArrivalFlights({ airport, day });
+	return buildArrivalTimes(flights, seed, airport, displayTimezone, day).map((flight) => ({ ...flight, airport }));
+}
+
+// Helper function to turn arrivals into timed sessions; time compression divides the wait until each arrival
+function scheduleFlights(flightData, { now = new Date(), timeScale = 1 } = {}) {
+	let scheduledCount = 0;
+
+	flightData.forEach((flight) => {
+		if (flight.foreignPassengers <= 0) {
+			addLog(`Skipping ${flight.airport} ${flight.callsign || 'flight'} at ${flight.time}: no passengers (freighter)`);
+			return;
+		}
+
+		// Flight entries carry absolute arrival instants, so the host timezone does not matter here
+		const flightTimeToday = new Date(flight.arrivalTime);
+		const delay = (flightTimeToday.getTime() - now.getTime()) / timeScale;
+
+		if (delay > 0) {
+			const session = {
+				id: null,
+				entryId: randomUUID(), // stable handle for the schedule table routes
+				type: 'scheduled',
+				trigger: serverState.currentRunMode, // scheduled or replay, 'manual' once started from the schedule table
+				airport: flight.airport,
+				callsign: flight.callsign || '',
+				scheduledAt: new Date(now.getTime() + delay), // real time the session starts
+				simulatedAt: timeScale > 1 ? flightTimeToday : null,
+				originalTimeStr: flight.time,
+				ueCount: flight.foreignPassengers,
+				status: 'pending',
+				isRunning: false,
+			};
+
+			armScheduledSession(session, delay);
+			serverState.scheduledSessions.push(session);
+			scheduledCount++;
+		} else {
+			addLog(`Skipping past flight time: ${flight.airport} ${flight.time}`);
+		}
+	});
+
+	return scheduledCount;
+}
+
+// Helper function to check whether a recurring schedule covers a calendar day (YYYY-MM-DD and weekday, airport time)
+function isRecurringDay(recurrence, dateKey, weekday) {
+	if (recurrence.startDate && dateKey < recurrence.startDate) return false;
+	if (recurrence.endDate && dateKey > recurrence.endDate) return false;
+	return recurrence.mode !== 'weekdays' || (weekday >= 1 && weekday <= 5);
+}
+
+// Helper function to describe a recurring schedule for logs ("weekdays from 2025-05-01 until 2025-05-31")
+function describeRecurrence(recurrence) {
+	const from = recurrence.startDate ? ` from ${recurrence.startDate}` : '';
+	const until = recurrence.endDate ? ` until ${recurrence.endDate}` : '';
+	return `${recurrence.mode}${from}${until}`;
+}
+
+// Helper function to schedule one airport's sessions for a day of the recurring schedule
+async function scheduleRecurringDay(airport, day = new Date()) {
+	const recurrence = serverState.recurrence;
+	const timeZone = getAirportTimezone(airport);
+	const dateKey = formatZonedDateKey(day, timeZone);
+	recurrence.days[airport] = dateKey;
+
+	if (!isRecurringDay(recurrence, dateKey, getZonedParts(day, timeZone).weekday)) {
+		addLog(`${airport}: ${dateKey} is not part of the recurring schedule (${describeRecurrence(recurrence)})`);
+		return 0;
+	}
+
+	// Without an explicit seed every day gets its own, so UE counts differ from day to day but stay reproducible
+	const seed = recurrence.seed || dateKey;
+	serverState.passengerSeed = seed;
+
+	const flightData = await loadDayArrivals(airport, {
+		seed,
+		displayTimezone: recurrence.displayTimezone,
+		firstAirport: recurrence.airports[0],
+		day,
+	});
+	const scheduledCount = scheduleFlights(flightData);
+	addLog(`${airport}: scheduled ${scheduledCount} sessions for ${dateKey} (seed: ${seed})`);
+	return scheduledCount;
+}
+
+// Helper function to arm the rollover of an airport's recurring schedule, just after midnight in the airport's timezone
+function armRollover(airport) {
+	const recurrence = serverState.recurrence;
+	const timeZone = getAirportTimezone(airport);
+	const nextMidnight = startOfZonedDay(new Date(), timeZone, 1);
+
+	clearTimeout(serverState.rolloverTimers[airport]);
+	delete serverState.rolloverTimers[airport];
+
+	// The rollover after the last day ends the recurrence instead; right away when the end date has already passed
+	if (recurrence.endDate && formatZonedDateKey(new Date(nextMidnight), timeZone) > recurrence.endDate) {
+		const isPast = formatZonedDateKey(new Date(), timeZone) > recurrence.endDate;
+		serverState.rolloverTimers[airport] = setTimeout(
+			() => endRecurrence(airport),
+			isPast ? 0 : nextMidnight - Date.now() + 1000
+		);
+		return;
+	}
+
+	serverState.rolloverTimers[airport] = setTimeout(() => rollOverDay(airport), nextMidnight - Date.now() + 1000);
+}
+
+// Helper function to end an airport's recurring schedule after its end date; once every airport has ended, the
+// recurrence is cleared and the schedule stops running unless sessions are still pending
+async function endRecurrence(airport) {
+	if (!serverState.recurrence) {
+		return;
+	}
+
+	delete serverState.rolloverTimers[airport];
+	addLog(`${airport}: recurring schedule ended after ${serverState.recurrence.endDate}`);
+	if (Object.keys(serverState.rolloverTimers).length > 0) {
+		return;
+	}
+
+	stopRecurrence();
+	if (!serverState.scheduledSessions.some((session) => ['pending', 'queued', 'running'].includes(session.status))) {
+		serverState.isRunning = false;
+	}
+	await persistScheduleState();
+	broadcastNextSessionDisplay();
+}
+
+// Helper function to roll an airport's recurring schedule over to the new day; MSIN ranges keep counting up
+async function rollOverDay(airport) {
+	if (!serverState.recurrence) {
+		return;
+	}
+
+	// Finished sessions of the previous day are dropped so the schedule does not grow day after day
+	serverState.scheduledSessions = serverState.scheduledSessions.filter(
+		(session) => session.airport !== airport || ['pending', 'queued', 'running'].includes(session.status)
+	);
+
+	try {
+		await scheduleRecurringDay(airport);
+	} catch (err) {
+		addLog(`${airport}: could not roll over the recurring schedule: ${err.message}`);
+	}
+
+	armRollover(airport);
+	await persistScheduleState();
+	broadcastNextSessionDisplay();
+}
+
+// Helper function to stop a recurring schedule
+function stopRecurrence() {
+	Object.values(serverState.rolloverTimers).forEach((timer) => clearTimeout(timer));
+	serverState.rolloverTimers = {};
+	serverState.recurrence = null;
+}
+
+// Helper function to format a ratio range as "40-60%"
+function formatRatioRange(min, max) {
+	return `${Math.round(min * 100)}-${Math.round(max * 100)}%`;
+}
+
+// Helper function to render the per-origin foreign-passenger ratio table
+function renderPassengerRatios() {
+	const ratios = getPassengerRatios();
+
+	let html = '<div class="status" style="background: #2196F3; margin: 10px 0;">Foreign-Passenger Ratios by Origin</div>';
+	html +=
+		'<div style="background: #2a2a2a; padding: 15px; border-radius: 5px; margin: 10px 0; font-family: monospace; font-size: 12px;">';
+
+	Object.entries(ratios)
+		.sort(([a], [b]) => a.localeCompare(b))
+		.forEach(([key, ratio]) => {
+			html += `<div style="margin: 3px 0; color: #e0e0e0;">${key} - ${formatRatioRange(ratio.min, ratio.max)}
+				<button style="width: auto; padding: 2px 8px; background: #f44336;"
+						hx-delete="/api/passenger-ratios/${key}" hx-target="#flight-data-display">${
+				key === 'DEFAULT' || key === 'DOMESTIC' ? 'Reset' : 'Remove'
+			}</button>
+			</div>`;
+		});
+
+	html += `<form class="input-group" hx-post="/api/passenger-ratios" hx-target="#flight-data-display">
+		<input type="text" name="airport" placeholder="Origin ICAO (RJAA), DEFAULT or DOMESTIC" required>
+		<input type="number" name="min" placeholder="Min %" min="0" max="100" step="any" required>
+		<input type="number" name="max" placeholder="Max %" min="0" max="100" step="any" required>
+		<input type="hidden" name="unit" value="percent">
+		<button type="submit" style="background: #4CAF50;">Save Ratio</button>
+	</form>`;
+
+	html += '</div>';
+	return html;
+}
+
+// Helper function to render the airline / aircraft capacity tables with edit forms
+function renderCapacityTables() {
+	const { aircraft, airlines, icao24 } = getCapacityTables();
+	const rowStyle = 'margin: 3px 0; color: #e0e0e0;';
+	const removeButton = (url) =>
+		`<button style="width: auto; padding: 2px 8px; background: #f44336;" hx-delete="${url}" hx-target="#flight-data-display">Remove</button>`;
+
+	let html = '<div class="status" style="background: #2196F3; margin: 10px 0;">Passenger Capacity Model</div>';
+	html +=
+		'<div style="background: #2a2a2a; padding: 15px; border-radius: 5px; margin: 10px 0; font-family: monospace; font-size: 12px;">';
+
+	html += '<h4 style="color: #4CAF50; margin: 0 0 10px 0;">Airlines (callsign prefix)</h4>';
+	Object.entries(airlines)
+		.sort(([a], [b]) => a.localeCompare(b))
+		.forEach(([code, airline]) => {
+			html += `<div style="${rowStyle}">${code} - ${escapeHtml(airline.name)} - ${escapeHtml(airline.aircraft)}${
+				airline.freighter ? ' (freighter)' : ''
+			} ${removeButton(`/api/capacity/airlines/${code}`)}</div>`;
+		});
+	html += `<form class="input-group" hx-post="/api/capacity/airlines" hx-target="#flight-data-display">
+		<input type="text" name="code" placeholder="Prefix (KAL)" maxlength="3" required>
+		<input type="text" name="name" placeholder="Airline name">
+		<input type="text" name="aircraft" placeholder="Aircraft (B77W)" maxlength="4" required>
+		<label style="white-space: nowrap;"><input type="checkbox" name="freighter" value="true" style="width: auto;"> Freighter</label>
+		<button type="submit" style="background: #4CAF50;">Save Airline</button>
+	</form>`;
+
+	html += '<h4 style="color: #4CAF50; margin: 15px 0 10px 0;">Aircraft types</h4>';
+	Object.entries(aircraft)
+		.sort(([a], [b]) => a.localeCompare(b))
+		.forEach(([type, entry]) => {
+			html += `<div style="${rowStyle}">${type} - ${entry.freighter ? 'freighter (0 passengers)' : `${entry.seats} seats`} ${removeButton(
+				`/api/capacity/aircraft/${type}`
+			)}</div>`;
+		});
+	html += `<form class="input-group" hx-post="/api/capacity/aircraft" hx-target="#flight-data-display">
+		<input type="text" name="type" placeholder="Type (A321)" maxlength="4" required>
+		<input type="number" name="seats" placeholder="Seats" min="0" max="1000">
+		<label style="white-space: nowrap;"><input type="checkbox" name="freighter" value="true" style="width: auto;"> Freighter</label>
+		<button type="submit" style="background: #4CAF50;">Save Aircraft</button>
+	</form>`;
+
+	html += '<h4 style="color: #4CAF50; margin: 15px 0 10px 0;">Airframe overrides (ICAO24)</h4>';
+	Object.entries(icao24).forEach(([hex, entry]) => {
+		html += `<div style="${rowStyle}">${hex} - ${entry.aircraft} ${removeButton(`/api/capacity/icao24/${hex}`)}</div>`;
+	});
+	html += `<form class="input-group" hx-post="/api/capacity/icao24" hx-target="#flight-data-display">
+		<input type="text" name="icao24" placeholder="ICAO24 (71be12)" maxlength="6" required>
+		<input type="text" name="aircraft" placeholder="Aircraft (B789)" maxlength="4" required>
+		<button type="submit" style="background: #4CAF50;">Save Override</button>
+	</form>`;
+
+	html += '</div>';
+	return html;
+}
+
+// Helper function to run a capacity table edit and answer with the re-rendered tables
+async function handleCapacityEdit(req, res, edit) {
+	try {
+		await edit();
+		if (req.query.format === 'json') {
+			return res.json(getCapacityTables());
+		}
+		res.send(renderCapacityTables());
+	} catch (error) {
+		if (req.query.format === 'json') {
+			return res.status(400).json({ error: error.message });
+		}
+		res.status(400).send(`
+			<div class="status" style="background: #d32f2f; margin: 10px 0;">
+				${escapeHtml(error.message)}
+			</div>
+			${renderCapacityTables()}
+		`);
+	}
+}
+
+// Helper function to render the flight snapshot list
+function renderSnapshotList(snapshots) {
+	let html = '<div class="status" style="background: #2196F3; margin: 10px 0;">Flight Data Snapshots</div>';
+	html +=
+		'<div style="background: #2a2a2a; padding: 15px; border-radius: 5px; margin: 10px 0; font-family: monospace; font-size: 12px;">';
+
+	const selected = serverState.selectedSnapshot;
+	if (selected) {
+		html += `<div style="margin: 0 0 10px 0; color: #4CAF50;">Selected for scheduling: ${selected.airport} ${selected.date}
+			<button style="width: auto; padding: 2px 8px; background: #ff9800;"
+					hx-post="/api/flight-cache/unselect" hx-target="#flight-data-display">Unselect</button>
+		</div>`;
+	}
+
+	if (snapshots.length === 0) {
+		html += '<div style="color: #ff9800;">No flight snapshots stored yet</div>';
+	}
+
+	snapshots.forEach((snapshot) => {
+		const isSelected = selected && selected.airport === snapshot.airport && selected.date === snapshot.date;
+		const color = snapshot.expired ? '#888' : '#e0e0e0';
+		html += `<div style="margin: 5px 0; color: ${color};">
+			${snapshot.airport} ${snapshot.date} - ${snapshot.flightCount} flights from ${snapshot.source}${
+			snapshot.expired ? ' (expired)' : ''
+		}${isSelected ? ' ✔' : ''}
+			<button style="width: auto; padding: 2px 8px; background: #4CAF50;"
+					hx-post="/api/flight-cache/${snapshot.airport}/${snapshot.date}/select" hx-target="#flight-data-display">Pick</button>
+			<button style="width: auto; padding: 2px 8px; background: #f44336;"
+					hx-delete="/api/flight-cache/${snapshot.airport}/${snapshot.date}" hx-target="#flight-data-display">Delete</button>
+		</div>`;
+	});
+
+	html += '</div>';
+	return html;
+}
+
+// Helper function to render the uploaded schedule preview
+function renderUploadedSchedule(schedule, errors = []) {
+	let html = '';
+
+	if (errors.length > 0) {
+		html += '<div class="status" style="background: #d32f2f; margin: 10px 0;">Schedule rejected</div>';
+		html +=
+			'<div style="background: #2a2a2a; padding: 15px; border-radius: 5px; margin: 10px 0; font-family: monospace; font-size: 12px;">';
+		errors.slice(0, 20).forEach((error) => {
+			html += `<div style="margin: 5px 0; color: #ff6b6b;">${escapeHtml(error)}</div>`;
+		});
+		if (errors.length > 20) {
+			html += `<div style="margin: 5px 0; color: #ff6b6b;">...and ${errors.length - 20} more errors</div>`;
+		}
+		html += '</div>';
+		return html;
+	}
+
+	if (!schedule) {
+		return '<div class="status" style="background: #607d8b; margin: 10px 0;">No uploaded schedule. Scheduled mode uses flight data.</div>';
+	}
+
+	const totalUes = schedule.entries.reduce((sum, entry) => sum + entry.passengers, 0);
+	html += `<div class="status" style="background: #2196F3; margin: 10px 0;">Uploaded Schedule: ${escapeHtml(schedule.fileName)} (${schedule.entries.length} arrivals, ${totalUes} UEs)</div>`;
+	html +=
+		'<div style="background: #2a2a2a; padding: 15px; border-radius: 5px; margin: 10px 0; font-family: monospace; font-size: 12px;">';
+	html += `<h4 style="color: #4CAF50; margin: 0 0 10px 0;">Scheduled mode will use this schedule
+		<button style="width: auto; padding: 2px 8px; background: #f44336;"
+				hx-delete="/api/schedule/upload" hx-target="#flight-data-display">Remove</button>
+	</h4>`;
+
+	schedule.entries.forEach((entry) => {
+		const airport = escapeHtml(entry.airport || '(first airport)');
+		const callsign = escapeHtml(entry.callsign || '(no callsign)');
+		html += `<div style="margin: 5px 0; color: #e0e0e0;">${airport} ${escapeHtml(entry.time)} - ${callsign} - ${
+			entry.passengers
+		} passengers</div>`;
+	});
+
+	html += '</div>';
+	return html;
+}
+
+// Helper function to render the subscriber profile store with the CSV import form
+function renderSubscriberProfiles(errors = []) {
+	const profiles = getSubscriberProfiles();
+	// Only the ends of K and OPc are shown; ?format=json has the full values
+	const mask = (value) => `${value.slice(0, 4)}…${value.slice(-4)}`;
+
+	let html = '';
+	if (errors.length > 0) {
+		html += '<div class="status" style="background: #d32f2f; margin: 10px 0;">Profile import rejected</div>';
+		html +=
+			'<div style="background: #2a2a2a; padding: 15px; border-radius: 5px; margin: 10px 0; font-family: monospace; font-size: 12px;">';
+		errors.slice(0, 20).forEach((error) => {
+			html += `<div style="margin: 5px 0; color: #ff6b6b;">${escapeHtml(error)}</div>`;
+		});
+		if (errors.length > 20) {
+			html += `<div style="margin: 5px 0; color: #ff6b6b;">...and ${errors.length - 20} more errors</div>`;
+		}
+		html += '</div>';
+	}
+
+	html += `<div class="status" style="background: #2196F3; margin: 10px 0;">Subscriber Profiles (${profiles.length} ranges)</div>`;
+	html +=
+		'<div style="background: #2a2a2a; padding: 15px; border-radius: 5px; margin: 10px 0; font-family: monospace; font-size: 12px;">';
+	html +=
+		'<div style="color: #aaa; margin-bottom: 10px;">Each session uses the credentials of the range holding its first MSIN; sessions outside every range keep the config.yml credentials.</div>';
+
+	html += `<form class="schedule-upload" hx-post="/api/subscriber-profiles/import" hx-encoding="multipart/form-data" hx-target="#flight-data-display">
+		<input type="file" name="profilesFile" accept=".csv" required>
+		<select name="mode">
+			<option value="replace">Replace all</option>
+			<option value="append">Append</option>
+		</select>
+		<button class="upload-schedule" type="submit">Import CSV</button>
+	</form>`;
+	html +=
+		'<div style="color: #888; margin: 5px 0 10px;">Columns: plmn, msin_start, msin_end, k, opc, amf, sqn, auth_method (5G_AKA or EAP_AKA_PRIME)</div>';
+
+	if (profiles.length > 0) {
+		html += '<table style="width: 100%; border-collapse: collapse; color: #e0e0e0;">';
+		html +=
+			'<tr style="text-align: left; color: #aaa;"><th>Range</th><th>K</th><th>OPc</th><th>AMF</th><th>SQN</th><th>Auth</th><th></th></tr>';
+		profiles.forEach((profile) => {
+			html += `<tr>
+				<td>${describeProfile(profile)}</td>
+				<td>${mask(profile.key)}</td>
+				<td>${mask(profile.opc)}</td>
+				<td>${profile.amf}</td>
+				<td>${profile.sqn}</td>
+				<td>${profile.authMethod}</td>
+				<td><button style="width: auto; padding: 2px 8px; background: #f44336;"
+						hx-delete="/api/subscriber-profiles/${profile.id}" hx-target="#flight-data-display">Remove</button></td>
+			</tr>`;
+		});
+		html += '</table>';
+		html += `<button style="width: auto; padding: 2px 8px; margin-top: 10px; background: #f44336;"
+				hx-delete="/api/subscriber-profiles" hx-target="#flight-data-display"
+				hx-confirm="Remove all subscriber profiles?">Remove all</button>`;
+	}
+
+	html += '</div>';
+	return html;
+}
+
+// MSIN ranges the active schedule has still to allocate: its pending and queued sessions in start order, planned
+// against the ledger from each airport's cursor the way runMultiUeSession allocates them. Each range is one block
+// with the credentials PacketRusher will use for all of its UEs: those of the subscriber profile holding the first
+// MSIN, or the config.yml credentials. The resolver's warnings point out UEs whose MSIN another profile holds.
+async function planScheduleProvisioning() {
+	const plmn = serverState.plmn;
+	if (!plmn) {
+		throw new Error('No active schedule: start a scheduled or replay session first');
+	}
+	const sessions = serverState.scheduledSessions
+		.filter((session) => (session.status === 'pending' || session.status === 'queued') && session.ueCount > 0)
+		.sort((a, b) => a.scheduledAt.getTime() - b.scheduledAt.getTime());
+	if (sessions.length === 0) {
+		throw new Error('The active schedule has no pending sessions to provision');
+	}
+
+	const template = await loadConfigTemplate(CONFIG_PATH);
+	const { key, opc, amf, sqn, snssai, dnn } = template.ue;
+	const defaults = { key, opc, amf, sqn: String(sqn), authMethod: '5G_AKA' };
+	const slice = { sst: Number((snssai && snssai.sst) || 1), sd: snssai && snssai.sd ? String(snssai.sd) : undefined };
+
+	const plan = planMsinRanges({ plmn: plmn.key, msinLength: plmn.msinLength });
+	const cursors = Object.fromEntries(
+		Object.entries(serverState.msinRanges).map(([airport, range]) => [airport, range.current])
+	);
+
+	const ranges = sessions.map((session) => {
+		const { start, end } = plan(cursors[session.airport] ?? serverState.currentMsinBase, session.ueCount);
+		cursors[session.airport] = end + 1;
+		const count = end - start + 1;
+		const { profile, warnings } = resolveSubscriberProfile(plmn.key, start, count);
+		const block = {
+			plmn,
+			msinStart: start,
+			count,
+			profileId: profile ? profile.id : null,
+			credentials: profile || defaults,
+			slice,
+			dnn: dnn || 'internet',
+		};
+		return { session, start, end, block, profile, warnings };
+	});
+
+	return { plmn, ranges, totalUes: ranges.reduce((sum, range) => sum + range.end - range.start + 1, 0) };
+}
+
+// Helper function to render the planned MSIN ranges with the subscriber export downloads
+function renderProvisioningPlan(provisioning, error = null) {
+	if (error) {
+		return `<div class="status" style="background: #d32f2f; margin: 10px 0;">Subscriber export: ${escapeHtml(
+			error
+		)}</div>`;
+	}
+
+	const { plmn, ranges, totalUes } = provisioning;
+	let html = `<div class="status" style="background: #2196F3; margin: 10px 0;">Subscriber Provisioning Export (${totalUes} UEs, PLMN ${plmn.key})</div>`;
+	html +=
+		'<div style="background: #2a2a2a; padding: 15px; border-radius: 5px; margin: 10px 0; font-family: monospace; font-size: 12px;">';
+	html +=
+		'<div style="color: #aaa; margin-bottom: 10px;">IMSIs the pending sessions will register with, planned against the MSIN ledger. Sessions of later recurring days are not scheduled yet and are not included.</div>';
+	html += `<div style="margin-bottom: 10px;">
+		<a href="/api/provisioning/export?core=free5gc" download style="color: #64b5f6; margin-right: 15px;">free5GC WebConsole JSON</a>
+		<a href="/api/provisioning/export?core=open5gs" download style="color: #64b5f6;">Open5GS mongoimport NDJSON</a>
+	</div>`;
+	if (totalUes > MAX_EXPORT_UES) {
+		html += `<div style="color: #ff6b6b; margin-bottom: 10px;">The Open5GS export is limited to ${MAX_EXPORT_UES} UEs (MAX_EXPORT_UES)</div>`;
+	}
+
+	html += '<table style="width: 100%; border-collapse: collapse; color: #e0e0e0;">';
+	html +=
+		'<tr style="text-align: left; color: #aaa;"><th>Session</th><th>UEs</th><th>IMSI range</th><th>Credentials</th></tr>';
+	ranges.forEach(({ session, start, end, profile, warnings }) => {
+		let credentials = profile ? `profile ${describeProfile(profile)}` : 'config.yml';
+		warnings.forEach((warning) => {
+			credentials += `<div style="color: #ff6b6b;">⚠️ ${escapeHtml(warning)}</div>`;
+		});
+		html += `<tr>
+			<td>${session.airport} ${session.originalTimeStr} ${escapeHtml(session.callsign || '')}</td>
+			<td>${end - start + 1}</td>
+			<td>${plmn.mcc}${plmn.mnc}${formatMsin(start, plmn)}-${plmn.mcc}${plmn.mnc}${formatMsin(end, plmn)}</td>
+			<td>${credentials}</td>
+		</tr>`;
+	});
+	html += '</table>';
+
+	html += '</div>';
+	return html;
+}
+
+// Helper function to render the schedule table with per-session controls
+function renderScheduleTable() {
+	const statusColors = {
+		pending: '#2196F3',
+		running: '#f57c00',
+		done: '#4CAF50',
+		failed: '#f44336',
+		aborted: '#f44336',
+		queued: '#9c27b0',
+		merged: '#888',
+		cancelled: '#888',
+		skipped: '#888',
+	};
+	const cellStyle = 'padding: 4px 6px; border-bottom: 1px solid #444; text-align: left;';
+	const actionButton = (session, action, label, color) =>
+		`<button style="width: auto; padding: 2px 8px; background: ${color};" hx-post="/api/schedule/sessions/${session.entryId}/${action}" hx-target="#schedule-table" hx-swap="outerHTML">${label}</button>`;
+
+	let html = '<div id="schedule-table">';
+	html += '<div class="status" style="background: #2196F3; margin: 10px 0;">Schedule</div>';
+	html +=
+		'<div style="background: #2a2a2a; padding: 15px; border-radius: 5px; margin: 10px 0; font-family: monospace; font-size: 12px;">';
+
+	const queueStatus = getQueueStatus();
+	html += `<div style="margin: 0 0 10px 0; color: #e0e0e0;">Queue: ${queueStatus.running}/${queueStatus.maxConcurrency} running, ${queueStatus.waiting} waiting (overlap policy: ${queueStatus.overlapPolicy})</div>`;
+
+	const sessions = [...serverState.scheduledSessions].sort((a, b) => a.scheduledAt.getTime() - b.scheduledAt.getTime());
+	if (sessions.length === 0) {
+		html +=
+			'<div style="color: #ff9800;">No sessions scheduled. Start Scheduled or Replay mode to build a schedule.</div>';
+	} else {
+		html += `<table style="width: 100%; border-collapse: collapse; color: #e0e0e0;">
+			<tr>
+				<th style="${cellStyle}">Airport</th>
+				<th style="${cellStyle}">Arrival</th>
+				<th style="${cellStyle}">Flight</th>
+				<th style="${cellStyle}">UEs</th>
+				<th style="${cellStyle}">Timeout</th>
+				<th style="${cellStyle}">Status</th>
+				<th style="${cellStyle}">Actions</th>
+			</tr>`;
+
+		sessions.forEach((session) => {
+			const editable = !['running', 'done', 'merged', 'aborted'].includes(session.status);
+			// Real start times use the same zone as the flight times: the display timezone, or the airport's own
+			const timeZone = serverState.displayTimezone || getAirportTimezone(session.airport);
+			const realTime = session.simulatedAt ? ` (real ${formatZonedTime(session.scheduledAt, timeZone)})` : '';
+			const formAttributes = (action) =>
+				`style="display: inline;" hx-post="/api/schedule/sessions/${session.entryId}/${action}" hx-target="#schedule-table" hx-swap="outerHTML"`;
+			const inputStyle = 'padding: 2px;';
+			const submitStyle = 'width: auto; padding: 2px 8px; background: #607d8b;';
+			const actions = editable
+				? `<form ${formAttributes('reschedule')}>
+						<input type="text" name="time" placeholder="HH:MM[:SS]" style="width: 90px; ${inputStyle}" required>
+						<button type="submit" style="${submitStyle}">Reschedule</button>
+					</form>
+					<form ${formAttributes('ue-count')}>
+						<input type="number" name="ueCount" value="${
+							session.ueCount
+						}" min="1" max="${MAX_PASSENGERS}" style="width: 70px; ${inputStyle}" required>
+						<button type="submit" style="${submitStyle}">Set UEs</button>
+					</form>
+					<form ${formAttributes('timeout')}>
+						<input type="number" name="timeoutSeconds" value="${
+							session.timeoutSeconds ?? ''
+						}" placeholder="Timeout (s)" min="0" style="width: 90px; ${inputStyle}" title="Empty uses the global timeout, 0 runs until stopped">
+						<button type="submit" style="${submitStyle}">Set Timeout</button>
+					</form>
+					${actionButton(session, 'run-now', 'Run Now', '#4CAF50')}
+					${['pending', 'queued'].includes(session.status) ? actionButton(session, 'cancel', 'Cancel', '#f44336') : ''}`
+				: '';
+
+			html += `<tr>
+				<td style="${cellStyle}">${session.airport}</td>
+				<td style="${cellStyle}">${session.originalTimeStr}${realTime}</td>
+				<td style="${cellStyle}">${session.callsign || '-'}</td>
+				<td style="${cellStyle}">${session.ueCount}</td>
+				<td style="${cellStyle}">${sessionTimeoutLabel(session)}</td>
+				<td style="${cellStyle} color: ${statusColors[session.status] || '#e0e0e0'};">${session.status}${
+				session.mergedInto ? ` into ${mergedTargetLabel(session.mergedInto)}` : ''
+			}</td>
+				<td style="${cellStyle}">${actions}</td>
+			</tr>`;
+		});
+		html += '</table>';
+	}
+
+	html += '</div></div>';
+	return html;
+}
+
+// Helper function to format a history record's duration ("42s")
+function recordDuration(record) {
+	return formatDuration(new Date(record.endedAt).getTime() - new Date(record.startedAt).getTime());
+}
+
+// Helper function to render the session history list with its filter form
+function renderSessionHistory(records, filters = {}) {
+	const statusColors = { success: '#4CAF50', failed: '#f44336', timeout: '#ff9800', aborted: '#f44336' };
+	const option = (value, selected, label = value) =>
+		`<option value="${value}"${value === (selected || '') ? ' selected' : ''}>${label}</option>`;
+
+	let html = '<div class="status" style="background: #2196F3; margin: 10px 0;">Session History</div>';
+	html +=
+		'<div style="background: #2a2a2a; padding: 15px; border-radius: 5px; margin: 10px 0; font-family: monospace; font-size: 12px;">';
+
+	html += `<form class="input-group" hx-get="/api/sessions/history" hx-target="#flight-data-display">
+		<input type="text" name="airport" placeholder="Airport" maxlength="4" value="${escapeHtml(filters.airport)}">
+		<select name="trigger">
+			${option('', filters.trigger, 'Any trigger')}${option('scheduled', filters.trigger)}${option(
+		'replay',
+		filters.trigger
+	)}${option('runNow', filters.trigger)}${option('manual', filters.trigger)}
+		</select>
+		<select name="status">
+			${option('', filters.status, 'Any status')}${option('success', filters.status)}${option(
+		'failed',
+		filters.status
+	)}${option('timeout', filters.status)}${option('aborted', filters.status)}
+		</select>
+		<input type="date" name="from" value="${escapeHtml(filters.from)}">
+		<input type="date" name="to" value="${escapeHtml(filters.to)}">
+		<button type="submit" style="background: #607d8b;">Filter</button>
+	</form>`;
+
+	if (records.length === 0) {
+		html += '<div style="color: #ff9800;">No sessions recorded yet</div>';
+	}
+
+	records.forEach((record) => {
+		html += `<div style="margin: 5px 0; color: #e0e0e0;">
+			#${record.sessionNumber} ${new Date(record.startedAt).toLocaleString()} - ${record.trigger}${
+			record.airport ? ` ${record.airport} ${record.flightTime}` : ''
+		} - ${record.ueCount} UEs (${record.imsiStart}${record.imsiEnd ? ` to ${record.imsiEnd}` : ''}) - ${recordDuration(
+			record
+		)} - <span style="color: ${statusColors[record.status]};">${record.status}</span>
+			<button style="width: auto; padding: 2px 8px; background: #607d8b;"
+					hx-get="/api/sessions/history/${record.id}" hx-target="#flight-data-display">Details</button>
+		</div>`;
+	});
+
+	html += '</div>';
+	return html;
+}
+
+// Helper function to render the per-UE outcomes parsed from a session's PacketRusher output
+function renderUeResults(record) {
+	const results = record.ueResults || [];
+	if (results.length === 0) {
+		return '';
+	}
+
+	const outcomeColors = { pduEstablished: '#4CAF50', registered: '#8bc34a', failed: '#f44336', incomplete: '#ff9800' };
+	const latency = (ms) => (ms === null ? '-' : `${ms} ms`);
+	const summary = record.ueSummary;
+
+	let html = `<div style="margin: 10px 0 5px; color: #64b5f6;">UE results: ${summary.registered}/${summary.attempted} registered, ${summary.pduEstablished} PDU sessions, ${summary.failed} failed, ${summary.incomplete} incomplete</div>`;
+	html += '<table style="width: 100%; border-collapse: collapse; color: #e0e0e0;">';
+	html +=
+		'<tr style="text-align: left; color: #aaa;"><th>MSIN</th><th>Outcome</th><th>Auth</th><th>Security mode</th><th>Registration</th><th>PDU session</th></tr>';
+	results.forEach((ue) => {
+		const outcome = ue.failedStage ? `failed (${ue.failedStage})` : ue.outcome;
+		html += `<tr title="${escapeHtml(ue.failureMessage || '')}">
+			<td>${ue.msin}</td>
+			<td style="color: ${outcomeColors[ue.outcome]};">${outcome}</td>
+			<td>${latency(ue.latencies.authenticationMs)}</td>
+			<td>${latency(ue.latencies.securityModeMs)}</td>
+			<td>${latency(ue.latencies.registrationMs)}</td>
+			<td>${latency(ue.latencies.pduSessionMs)}</td>
+		</tr>`;
+	});
+	html += '</table>';
+	return html;
+}
+
+// Helper function to render the registration metrics panel (#metrics-panel)
+function renderMetricsPanel(metrics) {
+	const { totals } = metrics;
+	const rate = (succeeded, attempted) => (attempted > 0 ? `${Math.round((succeeded / attempted) * 100)}%` : '-');
+	const latency = (ms) => (ms === null ? '-' : `${ms} ms`);
+	const latencyLabels = {
+		authenticationMs: 'Authentication',
+		securityModeMs: 'Security mode',
+		registrationMs: 'Registration',
+		pduSessionMs: 'PDU session',
+	};
+	const countCells = (row) =>
+		`<td>${row.attempted}</td><td style="color: #4CAF50;">${row.succeeded}</td><td style="color: ${
+			row.failed > 0 ? '#f44336' : '#e0e0e0'
+		};">${row.failed}</td><td>${rate(row.succeeded, row.attempted)}</td>`;
+	const tableStyle = 'width: 100%; border-collapse: collapse; color: #e0e0e0; margin-bottom: 10px;';
+	const headStyle = 'text-align: left; color: #aaa;';
+
+	let html = `<div id="metrics-panel" style="background: #2a2a2a; padding: 15px; border-radius: 5px; margin: 10px 0; font-family: monospace; font-size: 12px; border: 1px solid #444;">`;
+	html += `<div style="color: #4CAF50; font-weight: bold; margin-bottom: 8px;">Registration Metrics (last ${metrics.windowHours}h)</div>`;
+
+	if (totals.sessions === 0) {
+		html += '<div style="color: #888;">No sessions finished in this window yet</div></div>';
+		return html;
+	}
+
+	html += `<div style="margin-bottom: 10px;">${totals.sessions} sessions - UEs attempted: ${
+		totals.attempted
+	}, succeeded: <span style="color: #4CAF50;">${totals.succeeded}</span>, failed: <span style="color: #f44336;">${
+		totals.failed
+	}</span> (${rate(totals.succeeded, totals.attempted)} success) - timeouts: <span style="color: ${
+		totals.timeouts > 0 ? '#ff9800' : '#e0e0e0'
+	};">${totals.timeouts}</span></div>`;
+
+	html += `<table style="${tableStyle}"><tr style="${headStyle}"><th>Latency</th><th>Samples</th>${PERCENTILES.map(
+		(p) => `<th>p${p}</th>`
+	).join('')}</tr>`;
+	LATENCY_KEYS.forEach((key) => {
+		const values = metrics.latencyPercentiles[key];
+		html += `<tr><td>${latencyLabels[key]}</td><td>${values.samples}</td>${PERCENTILES.map(
+			(p) => `<td>${latency(values[`p${p}`])}</td>`
+		).join('')}</tr>`;
+	});
+	html += '</table>';
+
+	// Only hours that had sessions, newest first
+	html += `<table style="${tableStyle}"><tr style="${headStyle}"><th>Hour</th><th>Sessions</th><th>Attempted</th><th>Succeeded</th><th>Failed</th><th>Rate</th><th>Timeouts</th></tr>`;
+	[...metrics.hours]
+		.reverse()
+		.filter((hour) => hour.sessions > 0)
+		.forEach((hour) => {
+			html += `<tr><td>${new Date(hour.hourStart).toLocaleString([], {
+				month: 'short',
+				day: 'numeric',
+				hour: '2-digit',
+				minute: '2-digit',
+			})}</td><td>${hour.sessions}</td>${countCells(hour)}<td>${hour.timeouts}</td></tr>`;
+		});
+	html += '</table>';
+
+	html += `<table style="${tableStyle}"><tr style="${headStyle}"><th>Session</th><th>Started</th><th>Attempted</th><th>Succeeded</th><th>Failed</th><th>Rate</th><th>Status</th></tr>`;
+	metrics.sessions.slice(0, 10).forEach((session) => {
+		html += `<tr><td>#${session.sessionNumber}${session.airport ? ` ${session.airport}` : ''}</td><td>${new Date(
+			session.startedAt
+		).toLocaleTimeString()}</td>${countCells(session)}<td>${session.status}</td></tr>`;
+	});
+	html += '</table></div>';
+	return html;
+}
+
+// Helper function to render the MSIN allocation ledger with release and reserve controls
+function renderMsinLedger(allocations, filters = {}) {
+	const statusColors = { active: '#4CAF50', released: '#888' };
+	const activeCount = allocations.filter((allocation) => allocation.status === 'active').length;
+
+	let html = '<div class="status" style="background: #2196F3; margin: 10px 0;">MSIN Allocations</div>';
+	html +=
+		'<div style="background: #2a2a2a; padding: 15px; border-radius: 5px; margin: 10px 0; font-family: monospace; font-size: 12px;">';
+	html += `<div style="color: #aaa; margin-bottom: 10px;">${activeCount} active of ${allocations.length} ranges shown. Active ranges are never handed out again; release a range to let later sessions recycle it.</div>`;
+
+	html += `<form class="input-group" hx-get="/api/msin/allocations" hx-target="#flight-data-display">
+		<input type="text" name="plmn" placeholder="PLMN (001-01)" value="${escapeHtml(filters.plmn)}">
+		<select name="status">
+			<option value=""${!filters.status ? ' selected' : ''}>Any status</option>
+			<option value="active"${filters.status === 'active' ? ' selected' : ''}>active</option>
+			<option value="released"${filters.status === 'released' ? ' selected' : ''}>released</option>
+		</select>
+		<button type="submit" style="background: #607d8b;">Filter</button>
+	</form>`;
+
+	html += `<form class="input-group" hx-post="/api/msin/allocations" hx-target="#flight-data-display">
+		<input type="text" name="plmn" placeholder="PLMN (001-01)" required>
+		<input type="text" name="start" placeholder="First MSIN" required>
+		<input type="number" name="count" placeholder="UEs" min="1" required>
+		<button type="submit" style="background: #9c27b0;">Reserve range</button>
+	</form>`;
+
+	html += '<table style="width: 100%; border-collapse: collapse; color: #e0e0e0; margin-top: 10px;">';
+	html +=
+		'<tr style="text-align: left; color: #aaa;"><th>PLMN</th><th>MSIN range</th><th>UEs</th><th>Issued to</th><th>Allocated</th><th>Status</th><th></th></tr>';
+	allocations.forEach((allocation) => {
+		const owner = allocation.sessionNumber
+			? `#${allocation.sessionNumber}${allocation.airport ? ` ${allocation.airport}` : ''} (${allocation.trigger})`
+			: 'reserved';
+		const action =
+			allocation.status === 'active'
+				? `<button style="width: auto; padding: 2px 8px; background: #f44336;"
+						hx-post="/api/msin/allocations/${allocation.id}/release"
+						hx-target="#flight-data-display"
+						hx-confirm="Release MSINs ${formatAllocationRange(allocation)}?">Release</button>`
+				: `released ${new Date(allocation.releasedAt).toLocaleString()}`;
+		html += `<tr>
+			<td>${allocation.plmn}</td>
+			<td>${formatAllocationRange(allocation)}</td>
+			<td>${allocation.count}</td>
+			<td>${owner}</td>
+			<td>${new Date(allocation.allocatedAt).toLocaleString()}</td>
+			<td style="color: ${statusColors[allocation.status]};">${allocation.status}</td>
+			<td>${action}</td>
+		</tr>`;
+	});
+	html += '</table></div>';
+	return html;
+}
+
+// Helper function to render one history record with its captured output
+function renderSessionRecord(record) {
+	const fields = [
+		['Session', `#${record.sessionNumber}`],
+		['Trigger', record.trigger],
+		['Airport', record.airport || '-'],
+		['Flight', `${record.callsign || '-'} ${record.flightTime || ''}`],
+		['IMSI range', `${record.imsiStart}${record.imsiEnd ? ` to ${record.imsiEnd}` : ''}`],
+		['UEs', record.ueCount],
+		['Started', new Date(record.startedAt).toLocaleString()],
+		['Ended', `${new Date(record.endedAt).toLocaleString()} (${recordDuration(record)})`],
+		['Exit code', record.exitCode ?? '-'],
+		['Timed out', record.timedOut ? 'yes' : 'no'],
+		['Status', record.status],
+		['Error', record.error || '-'],
+		['Config', record.configPath ? path.relative(__dirname, record.configPath) : '-'],
+		['Config warnings', record.configWarnings && record.configWarnings.length ? record.configWarnings.join('; ') : '-'],
+	];
+
+	let html = `<div class="status" style="background: #2196F3; margin: 10px 0;">Session #${record.sessionNumber}</div>`;
+	html +=
+		'<div style="background: #2a2a2a; padding: 15px; border-radius: 5px; margin: 10px 0; font-family: monospace; font-size: 12px;">';
+	html += `<button style="width: auto; padding: 2px 8px; background: #607d8b;"
+			hx-get="/api/sessions/history" hx-target="#flight-data-display">Back to history</button>`;
+	fields.forEach(([label, value]) => {
+		html += `<div style="margin: 3px 0; color: #e0e0e0;">${label}: ${escapeHtml(value)}</div>`;
+	});
+	html += renderUeResults(record);
+	html += `<pre style="white-space: pre-wrap; color: #e0e0e0; max-height: 400px; overflow-y: auto;">${
+		escapeHtml(record.output) || '(no output captured)'
+	}</pre>`;
+	html += '</div>';
+	return html;
+}
+
+// Helper function to describe a session's effective timeout ("45s", "until stopped", "30s (global)")
+function sessionTimeoutLabel(session) {
+	const hasOwnTimeout = typeof session.timeoutSeconds === 'number';
+	const timeoutMs = resolveTimeoutMs({
+		...serverState.timeouts,
+		...(hasOwnTimeout && { timeoutSeconds: session.timeoutSeconds }),
+		ueCount: session.ueCount,
+	});
+	return `${describeTimeout(timeoutMs)}${hasOwnTimeout ? '' : ' (global)'}`;
+}
+
+// Helper function to describe the session a merged session was added to
+function mergedTargetLabel(entryId) {
+	const target = serverState.scheduledSessions.find((session) => session.entryId === entryId);
+	return target ? target.originalTimeStr : 'another session';
+}
+
+// Helper function to refresh the schedule table on clients that show it
+function broadcastScheduleTable() {
+	const html = `<div hx-swap-oob="outerHTML:#schedule-table">${renderScheduleTable()}</div>`;
+
+	wsClients.forEach((ws) => {
+		if (ws.readyState === 1) {
+			ws.send(html);
+		}
+	});
+}
+
+// Helper function to apply a schedule table edit, persist it and answer with the re-rendered table
+async function handleScheduleEdit(req, res, edit) {
+	const session = serverState.scheduledSessions.find((entry) => entry.entryId === req.params.entryId);
+
+	try {
+		if (!session) {
+			throw new Error('Scheduled session not found (it may have been replaced by a new schedule)');
+		}
+		if (['running', 'done', 'merged', 'aborted'].includes(session.status)) {
+			throw new Error(
+				`Session ${session.airport} ${session.originalTimeStr} is ${session.status} and cannot be changed`
+			);
+		}
+
+		edit(session);
+		await persistScheduleState();
+		broadcastNextSessionDisplay();
+
+		if (req.query.format === 'json') {
+			return res.json({
+				entryId: session.entryId,
+				status: session.status,
+				ueCount: session.ueCount,
+				timeoutSeconds: session.timeoutSeconds ?? null,
+			});
+		}
+		res.send(renderScheduleTable());
+	} catch (error) {
+		if (req.query.format === 'json') {
+			return res.status(400).json({ error: error.message });
+		}
+		res.status(400).send(`
+			<div class="status" style="background: #d32f2f; margin: 10px 0;">
+				${escapeHtml(error.message)}
+			</div>
+			${renderScheduleTable()}
+		`);
+	}
 }
 
 // HTMX Routes
@@ -127,50 +1674,138 @@ function updateNextSessionDisplay() {
 // Internal flight data endpoint (returns JSON for server use)
 app.get('/api/flight-data-json', async (req, res) => {
 	try {
-		const now = new Date();
-		const lastWeek = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+		const { airport = 'RKSI', accessToken, mock, seed = defaultSeed(airport) } = req.query;
+		const displayTimezone = resolveDisplayTimezone(req.query.displayTimezone || serverState.displayTimezone);
 
-		const beginDate = new Date(lastWeek);
-		beginDate.setHours(0, 0, 0, 0);
+		const { flights } = await loadArrivalFlights({ airport, accessToken, mock: mock === 'true' });
+		const arrivalTimes = buildArrivalTimes(flights, seed, airport, displayTimezone);
 
-		const endDate = new Date(lastWeek);
-		endDate.setHours(23, 59, 59, 999);
+		res.json(arrivalTimes);
+	} catch (error) {
+		console.error('Flight data JSON endpoint error:', error);
+		res.status(500).json({ error: error.message, data: [] });
+	}
+});
 
-		const estimatedPassengers = 174;
+// Local stand-in for the OpenSky /flights/arrival API (offline testing, OPENSKY_MOCK=true)
+app.get('/api/mock/opensky/flights/arrival', async (req, res) => {
+	const { airport, begin, end } = req.query;
+	const beginTimestamp = parseInt(begin);
+	const endTimestamp = parseInt(end);
 
-		const flightModule = await import('./flight.mjs');
-		const arrivalTimestamps = flightModule.flight.map((data) => data.firstSeen || data.lastSeen);
-		const today = new Date();
+	if (!airport || isNaN(beginTimestamp) || isNaN(endTimestamp)) {
+		return res.status(400).json({ error: 'airport, begin and end are required' });
+	}
 
-		const arrivalTimes = arrivalTimestamps
-			.filter((timestamp) => {
-				const date = new Date(timestamp * 1000);
-				return date.getDay() === today.getDay();
-			})
-			.sort((a, b) => a - b)
-			.map((timestamp) => {
-				const date = new Date(timestamp * 1000);
-				const estimatedForeigners = Math.floor(
-					estimatedPassengers * 0.4 + Math.random() * (estimatedPassengers * 0.6 - estimatedPassengers * 0.4)
-				);
+	const flightModule = await import('./flight.mjs');
+	const flights = buildMockArrivals(flightModule.flight, { airport, begin: beginTimestamp, end: endTimestamp });
 
-				return {
-					time: date.toLocaleTimeString('en-US', { timeZone: 'Asia/Seoul' }),
-					foreignPassengers: estimatedForeigners,
-				};
-			});
+	if (flights.length === 0) {
+		return res.status(404).json([]);
+	}
 
-		res.json(arrivalTimes);
-	} catch (error) {
-		console.error('Flight data JSON endpoint error:', error);
-		res.status(500).json({ error: error.message, data: [] });
+	res.json(flights);
+});
+
+// Local stand-in for the subscriber provisioning APIs of free5GC and Open5GS (testing exports without a core).
+// Provisioned subscribers are kept in memory until DELETE /api/mock/provisioning or a restart.
+const mockProvisioning = { free5gc: new Map(), open5gs: new Map() }; // IMSI -> subscriber
+
+function mockProvisioningSummary() {
+	return {
+		free5gc: mockProvisioning.free5gc.size,
+		open5gs: mockProvisioning.open5gs.size,
+		imsis: {
+			free5gc: [...mockProvisioning.free5gc.keys()].sort(),
+			open5gs: [...mockProvisioning.open5gs.keys()].sort(),
+		},
+	};
+}
+
+// free5GC WebConsole: POST /api/subscriber/:ueId/:servingPlmnId/:userNumber creates userNumber consecutive IMSIs;
+// like the WebConsole, an existing subscriber is overwritten. The WebConsole base URL is /api/mock/provisioning/free5gc
+app.post('/api/mock/provisioning/free5gc/api/subscriber/:ueId/:plmnId{/:userNumber}', (req, res) => {
+	const { ueId, plmnId } = req.params;
+	const userNumber = req.params.userNumber === undefined ? 1 : Number(req.params.userNumber);
+	const errors = validateFree5gcSubscriber(ueId, plmnId, req.body);
+	if (!Number.isInteger(userNumber) || userNumber < 1) {
+		errors.push(`userNumber must be a positive integer (got "${req.params.userNumber}")`);
+	}
+	if (errors.length > 0) {
+		return res.status(400).json({ errors });
+	}
+
+	const firstImsi = ueId.slice('imsi-'.length);
+	const msinLength = firstImsi.length - plmnId.length;
+	const firstMsin = parseInt(firstImsi.slice(plmnId.length), 10);
+	if (firstMsin + userNumber - 1 > 10 ** msinLength - 1) {
+		return res.status(400).json({ errors: [`${userNumber} subscribers from ${ueId} run past the last MSIN`] });
+	}
+	for (let i = 0; i < userNumber; i++) {
+		const imsi = `${plmnId}${String(firstMsin + i).padStart(msinLength, '0')}`;
+		mockProvisioning.free5gc.set(imsi, { ...req.body, ueId: `imsi-${imsi}` });
 	}
+	res.status(201).json({ created: userNumber });
+});
+
+// Open5GS: documents of the subscribers collection, as a JSON array or NDJSON (the export file). Like the unique
+// IMSI index of the collection, a batch holding an existing IMSI is rejected as a whole.
+app.post(
+	'/api/mock/provisioning/open5gs/subscribers',
+	express.text({ type: ['application/x-ndjson', 'text/plain'], limit: '100mb' }),
+	(req, res) => {
+		let documents;
+		try {
+			documents =
+				typeof req.body === 'string'
+					? req.body
+							.split(/\r?\n/)
+							.filter((line) => line.trim())
+							.map((line) => JSON.parse(line))
+					: [].concat(req.body);
+		} catch (error) {
+			return res.status(400).json({ errors: [`Invalid NDJSON: ${error.message}`] });
+		}
+
+		const errors = [];
+		const seen = new Set();
+		documents.forEach((document, index) => {
+			validateOpen5gsSubscriber(document).forEach((error) => errors.push(`Document ${index + 1}: ${error}`));
+			const imsi = document && String(document.imsi);
+			if (mockProvisioning.open5gs.has(imsi) || seen.has(imsi)) {
+				errors.push(`Document ${index + 1}: duplicate IMSI ${imsi}`);
+			}
+			seen.add(imsi);
+		});
+		if (documents.length === 0) {
+			errors.push('No subscriber documents received');
+		}
+		if (errors.length > 0) {
+			return res.status(400).json({ errors: errors.slice(0, 100) });
+		}
+
+		documents.forEach((document) => mockProvisioning.open5gs.set(String(document.imsi), document));
+		res.status(201).json({ created: documents.length });
+	}
+);
+
+app.get('/api/mock/provisioning', (req, res) => {
+	res.json(mockProvisioningSummary());
+});
+
+app.delete('/api/mock/provisioning', (req, res) => {
+	mockProvisioning.free5gc.clear();
+	mockProvisioning.open5gs.clear();
+	res.json(mockProvisioningSummary());
 });
 
 // Run Multi-UE Session function (restored)
+// sessionContext is the scheduled session entry for scheduled runs, or { type: 'runNow' }
 async function runMultiUeSession(baseIMSI, ueCountForSession, sessionContext = null) {
 	return new Promise(async (resolve) => {
-		const isScheduledRun = typeof sessionContext === 'string';
+		const isScheduledRun = Boolean(sessionContext && sessionContext.type === 'scheduled');
+		const msinRange = isScheduledRun ? serverState.msinRanges[sessionContext.airport] : null;
+		const plmn = sessionPlmn(baseIMSI);
 
 		// Update connection status
 		const statusHtml = `<div hx-swap-oob="outerHTML:#connection-status">
@@ -183,54 +1818,135 @@ async function runMultiUeSession(baseIMSI, ueCountForSession, sessionContext = n
 			}
 		});
 
-		if (serverState.baseMsin === null) {
-			const msinPart = baseIMSI.slice(-10);
+		if (!msinRange && serverState.currentMsinBase === null) {
+			const msinPart = baseIMSI.slice(-plmn.msinLength);
 			serverState.baseMsin = parseInt(msinPart);
 			serverState.currentMsinBase = serverState.baseMsin;
 			addLog(`Warning: baseMsin not initialized by start(), fallback to: ${msinPart}`);
 		}
 
-		serverState.sessionCount++;
-		const msinDisplay =
-			typeof serverState.currentMsinBase === 'number'
-				? serverState.currentMsinBase.toString().padStart(10, '0')
-				: serverState.currentMsinBase;
+		// Sessions of different airports may overlap, so keep this session's number and MSIN locally
+		const sessionNumber = ++serverState.sessionCount;
+		const airportLabel = isScheduledRun ? `[${sessionContext.airport}] ` : '';
+
+		// Issue the session's MSIN range from the ledger, starting at the airport's (or Run Now) cursor; ranges still
+		// allocated to earlier runs are skipped, so IMSIs are never reused until released
+		const msinCursor = msinRange ? msinRange.current : serverState.currentMsinBase;
+		let allocation = null;
+		let allocationError = null;
+		try {
+			allocation = allocateMsinRange({
+				plmn: plmn.key,
+				count: ueCountForSession,
+				from: msinCursor,
+				msinLength: plmn.msinLength,
+				owner: {
+					sessionNumber,
+					airport: isScheduledRun ? sessionContext.airport : null,
+					trigger: isScheduledRun ? sessionContext.trigger : 'runNow',
+				},
+			});
+			serverState.activeAllocationIds.add(allocation.id);
+			if (msinRange) {
+				msinRange.current = allocation.end + 1;
+			} else {
+				serverState.currentMsinBase = allocation.end + 1;
+			}
+			if (allocation.start !== msinCursor) {
+				addLog(
+					` MSINs from ${formatMsin(msinCursor)} are already allocated, skipping to ${formatMsin(allocation.start)}`
+				);
+			}
+		} catch (err) {
+			allocationError = err;
+		}
+
+		const sessionMsin = allocation ? allocation.start : null;
+		const msinDisplay = formatMsin(sessionMsin);
 
 		addLog(
-			`Session #${serverState.sessionCount} - Starting ${ueCountForSession} UEs (IMSI base: ${baseIMSI.slice(
-				0,
-				5
-			)}${msinDisplay})`
+			`Session #${sessionNumber} ${airportLabel}- Starting ${ueCountForSession} UEs (IMSI base: ${plmn.mcc}${
+				plmn.mnc
+			}${msinDisplay})${isScheduledRun && serverState.passengerSeed ? ` [seed: ${serverState.passengerSeed}]` : ''}`
 		);
 
 		const startMsin = msinDisplay;
-		const endMsinNum =
-			typeof serverState.currentMsinBase === 'number' ? serverState.currentMsinBase + ueCountForSession - 1 : 'N/A';
-		const endMsin = typeof endMsinNum === 'number' ? endMsinNum.toString().padStart(10, '0') : endMsinNum;
+		const endMsinNum = typeof sessionMsin === 'number' ? sessionMsin + ueCountForSession - 1 : 'N/A';
+		const endMsin = formatMsin(endMsinNum);
 
 		addLog(` UE Range: MSIN ${startMsin} to ${endMsin} (${ueCountForSession} UEs total for this session)`);
+		if (isScheduledRun && sessionContext.simulatedAt) {
+			addLog(` Simulated time: ${sessionContext.originalTimeStr}, real time: ${formatTime()}`);
+		}
+
+		if (isScheduledRun) {
+			sessionContext.status = 'running';
+			broadcastScheduleTable();
+		}
+		persistScheduleState();
+
+		const startedAt = new Date();
+		let result = null;
+		let sessionError = null;
 
 		try {
-			const result = await runPacketRusher(serverState.sessionCount, ueCountForSession);
+			if (allocationError) {
+				throw allocationError;
+			}
 
-			if (result.success) {
-				addLog(`✅ Session #${serverState.sessionCount} completed successfully`);
-				serverState.totalUeCount += ueCountForSession;
-				if (typeof serverState.currentMsinBase === 'number') {
-					serverState.currentMsinBase += ueCountForSession;
+			// A timeout set on the session itself wins over the global one
+			const sessionTimeout = isScheduledRun ? sessionContext.timeoutSeconds : null;
+			result = await runPacketRusher(sessionNumber, ueCountForSession, sessionMsin, {
+				...(typeof sessionTimeout === 'number' && { timeoutSeconds: sessionTimeout }),
+			});
+
+			// The generated config stays on disk as the audit record of what this session ran with
+			if (result.configPath) {
+				if (sessionContext) {
+					sessionContext.configPath = result.configPath;
 				}
+				addLog(` Session #${sessionNumber} config: ${path.relative(__dirname, result.configPath)}`);
+			}
+
+			if (isScheduledRun) {
+				sessionContext.status = result.aborted ? 'aborted' : result.success ? 'done' : 'failed';
+			}
+
+			if (result.aborted) {
+				addLog(`🛑 Session #${sessionNumber} ${airportLabel}aborted by Stop / Reset`);
+			} else if (result.success) {
+				addLog(`✅ Session #${sessionNumber} ${airportLabel}completed successfully`);
+				serverState.totalUeCount += ueCountForSession;
 			} else {
-				addLog(`Session #${serverState.sessionCount} failed: ${result.error}`);
+				addLog(`Session #${sessionNumber} ${airportLabel}failed: ${result.error}`);
 			}
 		} catch (e) {
-			addLog(`Session #${serverState.sessionCount} error: ${e.message}`);
+			if (isScheduledRun) {
+				sessionContext.status = 'failed';
+			}
+			sessionError = e.message;
+			addLog(`Session #${sessionNumber} ${airportLabel}error: ${e.message}`);
 		} finally {
+			if (allocation) {
+				serverState.activeAllocationIds.delete(allocation.id);
+			}
+			await recordSessionHistory({
+				sessionNumber,
+				sessionContext,
+				plmn,
+				msin: sessionMsin,
+				ueCount: ueCountForSession,
+				startedAt,
+				result,
+				error: sessionError,
+				msinAllocationId: allocation ? allocation.id : null,
+			});
+
 			if (isScheduledRun) {
-				const sessionToMarkDone = serverState.scheduledSessions.find(
-					(s) => s.ueCount === ueCountForSession && s.originalTimeStr === sessionContext
-				);
-				if (sessionToMarkDone) sessionToMarkDone.isRunning = false;
+				sessionContext.isRunning = false;
+				broadcastScheduleTable();
 			}
+			persistScheduleState();
 
 			// Update connection status back to connected
 			const connectedStatusHtml = `<div hx-swap-oob="outerHTML:#connection-status">
@@ -243,7 +1959,7 @@ async function runMultiUeSession(baseIMSI, ueCountForSession, sessionContext = n
 				}
 			});
 
-			addLog(`⏱️ Session #${serverState.sessionCount} finished. Total UEs so far: ${serverState.totalUeCount}`);
+			addLog(`⏱️ Session #${sessionNumber} ${airportLabel}finished. Total UEs so far: ${serverState.totalUeCount}`);
 
 			if (isScheduledRun) {
 				// Update next session display
@@ -261,7 +1977,7 @@ async function runMultiUeSession(baseIMSI, ueCountForSession, sessionContext = n
 					<div id="control-buttons">
 						<button class="start"
 								hx-post="/api/sessions/start" 
-								hx-include="[name='mcc'], [name='mnc'], [name='msinBase'], [name='runMode'], [name='ueCountInput']"
+								hx-include="[name='mcc'], [name='mnc'], [name='msinBase'], [name='runMode'], [name='ueCountInput'], [name='seed'], [name='airports'], [name='displayTimezone'], [name='replayDay'], [name='replayOffset'], [name='timeScale'], [name='recurrence'], [name='recurrenceStart'], [name='recurrenceEnd'], [name='maxConcurrency'], [name='overlapPolicy'], [name='sessionTimeout'], [name='timeoutPerUe']"
 								hx-target="#control-buttons" 
 								hx-swap="outerHTML">
 							Start Sessions
@@ -280,6 +1996,7 @@ async function runMultiUeSession(baseIMSI, ueCountForSession, sessionContext = n
 						</button>
 						<button class="get-flight-data" 
 								hx-get="/api/flight-data" 
+								hx-include="[name='seed'], [name='airports'], [name='displayTimezone']"
 								hx-target="#flight-data-display">
 							Get Flight Data
 						</button>
@@ -300,6 +2017,62 @@ async function runMultiUeSession(baseIMSI, ueCountForSession, sessionContext = n
 	});
 }
 
+// Helper function to store a finished session in the session history
+// and refresh the metrics panel of every client
+async function recordSessionHistory({
+	sessionNumber,
+	sessionContext,
+	plmn,
+	msin,
+	ueCount,
+	startedAt,
+	result,
+	error,
+	msinAllocationId,
+}) {
+	const isScheduledRun = Boolean(sessionContext && sessionContext.type === 'scheduled');
+	const imsiPrefix = `${plmn.mcc}${plmn.mnc}`;
+
+	const record = await addSessionRecord({
+		sessionNumber,
+		trigger: isScheduledRun ? sessionContext.trigger || 'scheduled' : 'runNow',
+		airport: isScheduledRun ? sessionContext.airport : null,
+		callsign: isScheduledRun ? sessionContext.callsign || null : null,
+		flightTime: isScheduledRun ? sessionContext.originalTimeStr : null,
+		plmn: plmn.key,
+		imsiStart: `${imsiPrefix}${formatMsin(msin, plmn)}`,
+		imsiEnd: typeof msin === 'number' ? `${imsiPrefix}${formatMsin(msin + ueCount - 1, plmn)}` : null,
+		msinAllocationId,
+		ueCount,
+		startedAt: startedAt.toISOString(),
+		endedAt: new Date().toISOString(),
+		exitCode: result ? result.exitCode ?? null : null,
+		timedOut: Boolean(result && result.timedOut),
+		aborted: Boolean(result && result.aborted),
+		success: Boolean(result && result.success),
+		error: error || (result && !result.success ? result.error : null),
+		configPath: (result && result.configPath) || null,
+		configWarnings: (result && result.configWarnings) || [],
+		ueSummary: (result && result.ueSummary) || null,
+		ueResults: (result && result.ueResults) || [],
+		output: (result && result.rawOutput) || '',
+	});
+	broadcastMetrics();
+	return record;
+}
+
+// Broadcast the metrics panel (default window) to all clients
+function broadcastMetrics() {
+	const html = `<div hx-swap-oob="outerHTML:#metrics-panel">${renderMetricsPanel(
+		computeMetrics(getSessionRecords())
+	)}</div>`;
+	wsClients.forEach((ws) => {
+		if (ws.readyState === 1) {
+			ws.send(html);
+		}
+	});
+}
+
 // Mode change handler
 app.post('/api/ui/mode-change', (req, res) => {
 	console.log('Mode change request body:', req.body);
@@ -320,10 +2093,31 @@ app.post('/api/ui/mode-change', (req, res) => {
 				</small>
 			</div>
 		`;
+	} else if (runMode === 'replay') {
+		html = `
+			<div id="mode-dependent-ui">
+				<div class="input-group" style="margin-top: 10px;">
+					<select name="replayDay"
+							hx-get="/api/replay/days"
+							hx-trigger="load"
+							hx-include="[name='airports']"
+							hx-target="this"
+							hx-swap="innerHTML"
+							style="flex: 2; padding: 10px; background: #1a1a1a; color: #e0e0e0; border: 1px solid #444; border-radius: 5px;">
+						<option value="">Loading days...</option>
+					</select>
+					<input type="number" name="replayOffset" placeholder="Start offset (minutes)" value="0" min="0">
+				</div>
+				<input type="hidden" name="ueCountInput" value="1">
+				<small style="color: #888; font-size: 11px; display: block;">
+					Replays the chosen day from now (plus the offset), keeping the gaps between arrivals.
+				</small>
+			</div>
+		`;
 	} else {
 		html = `
 			<div id="mode-dependent-ui">
-        <div class="input-group" style="margin-top: 10px;">
+				<div class="input-group" style="margin-top: 10px;">
 					<input type="number" name="ueCountInput" placeholder="Number of UEs (for Run Now)" 
 						   value="1" min="1" max="100">
 				</div>
@@ -367,74 +2161,258 @@ app.post('/api/sessions/start', async (req, res) => {
 	const msinBase = formData.msinBase || '';
 	const runMode = formData.runMode || 'scheduled';
 	const ueCountInput = formData.ueCountInput || '1';
+	const replayDay = formData.replayDay || '';
+	const replayOffset = formData.replayOffset || '0';
+	const timeScale = Number(formData.timeScale || '1');
+	const recurrenceMode = formData.recurrence || 'none';
+	const recurrenceStart = (formData.recurrenceStart || '').trim();
+	const recurrenceEnd = (formData.recurrenceEnd || '').trim();
+	const maxConcurrency = formData.maxConcurrency || String(getQueueStatus().maxConcurrency);
+	const overlapPolicy = formData.overlapPolicy || getQueueStatus().overlapPolicy;
+	const sessionTimeout = formData.sessionTimeout ?? String(serverState.timeouts.timeoutSeconds);
+	const timeoutPerUe = formData.timeoutPerUe ?? String(serverState.timeouts.perUeSeconds);
+	// Scheduled and replay modes both turn flight arrivals into timed sessions
+	const isFlightMode = runMode === 'scheduled' || runMode === 'replay';
+
+	let airports;
+	let displayTimezone;
+	let queueSettings;
+	let timeouts;
+	try {
+		airports = parseAirportList(formData.airports);
+		displayTimezone = resolveDisplayTimezone(formData.displayTimezone);
+		queueSettings = {
+			maxConcurrency: parseMaxConcurrency(maxConcurrency),
+			overlapPolicy: parseOverlapPolicy(overlapPolicy),
+		};
+		// A cleared field falls back to the default; only an explicit 0 runs sessions until stopped
+		timeouts = {
+			timeoutSeconds: parseTimeoutSeconds(String(sessionTimeout).trim() || DEFAULT_TIMEOUT_SECONDS),
+			perUeSeconds: parseTimeoutSeconds(String(timeoutPerUe).trim() || DEFAULT_TIMEOUT_PER_UE_SECONDS, 'Timeout per UE'),
+		};
+	} catch (error) {
+		return res.status(400).send(`
+			<div class="status" style="background: #d32f2f; margin: 10px 0;">
+				${escapeHtml(error.message)}
+			</div>
+		`);
+	}
 
-	console.log('Extracted values:', { mcc, mnc, msinBase, runMode, ueCountInput });
+	// The default seed is the first airport's local date, the same one the flight data view uses
+	const seed = (formData.seed || '').trim() || defaultSeed(airports[0]);
+
+	console.log('Extracted values:', {
+		mcc,
+		mnc,
+		msinBase,
+		runMode,
+		ueCountInput,
+		seed,
+		airports,
+		displayTimezone,
+		replayDay,
+		replayOffset,
+		timeScale,
+		recurrenceMode,
+		recurrenceStart,
+		recurrenceEnd,
+		maxConcurrency,
+		overlapPolicy,
+		sessionTimeout,
+		timeoutPerUe,
+	});
 
 	// Validation
-	if (!mcc || mcc.length !== 3) {
-		console.log('MCC validation failed:', mcc);
+	let plmn;
+	try {
+		plmn = parsePlmn(mcc, mnc);
+	} catch (error) {
+		console.log('PLMN validation failed:', mcc, mnc);
+		return res.status(400).send(`
+			<div class="status" style="background: #d32f2f; margin: 10px 0;">
+				${escapeHtml(error.message)}
+			</div>
+		`);
+	}
+
+	const replayOffsetMinutes = Number(replayOffset);
+	if (runMode === 'replay' && (!replayDay || !Number.isFinite(replayOffsetMinutes) || replayOffsetMinutes < 0)) {
 		return res.status(400).send(`
 			<div class="status" style="background: #d32f2f; margin: 10px 0;">
-				Enter a valid 3-character MCC. Current value: "${mcc}"
+				Choose a historical day and a start offset of 0 or more minutes for Replay mode.
 			</div>
 		`);
 	}
 
-	if (!mnc || mnc.length !== 2) {
-		console.log('MNC validation failed:', mnc);
+	if (isFlightMode && (!Number.isFinite(timeScale) || timeScale < 1 || timeScale > 3600)) {
 		return res.status(400).send(`
 			<div class="status" style="background: #d32f2f; margin: 10px 0;">
-				Enter a valid 2-character MNC. Current value: "${mnc}"
+				Time compression must be between 1 (real time) and 3600. Current value: "${escapeHtml(formData.timeScale)}"
 			</div>
 		`);
 	}
 
-	if (!msinBase || msinBase.length !== 10) {
+	if (runMode === 'scheduled') {
+		let recurrenceError = null;
+		if (!['none', 'daily', 'weekdays'].includes(recurrenceMode)) {
+			recurrenceError = `Unknown recurrence: "${recurrenceMode}"`;
+		} else if ([recurrenceStart, recurrenceEnd].some((date) => date && !/^\d{4}-\d{2}-\d{2}$/.test(date))) {
+			recurrenceError = 'Recurrence dates must use the YYYY-MM-DD format';
+		} else if (recurrenceStart && recurrenceEnd && recurrenceStart > recurrenceEnd) {
+			recurrenceError = 'The recurrence start date cannot be after its end date';
+		} else if (recurrenceMode === 'none' && (recurrenceStart || recurrenceEnd)) {
+			recurrenceError = 'Choose Daily or Weekdays to schedule a date range';
+		} else if (recurrenceMode !== 'none' && timeScale > 1) {
+			recurrenceError = 'Recurring schedules run in real time, set time compression to 1';
+		}
+
+		if (recurrenceError) {
+			return res.status(400).send(`
+				<div class="status" style="background: #d32f2f; margin: 10px 0;">
+					${escapeHtml(recurrenceError)}
+				</div>
+			`);
+		}
+	}
+
+	// The MSIN fills the IMSI up to 15 digits; ranges are allocated numerically from the ledger
+	try {
+		validateMsin(msinBase, plmn);
+	} catch (error) {
 		console.log('MSIN validation failed:', msinBase);
 		return res.status(400).send(`
 			<div class="status" style="background: #d32f2f; margin: 10px 0;">
-				Enter a valid 10-character Base MSIN. Current value: "${msinBase}"
+				${escapeHtml(error.message)}
+			</div>
+		`);
+	}
+
+	// Each airport gets its own MSIN block above the base; the last block has to start inside the MSIN space
+	const lastBlockBase = parseInt(msinBase, 10) + (airports.length - 1) * MSIN_BLOCK_SIZE;
+	const maxMsin = 10 ** plmn.msinLength - 1;
+	if (isFlightMode && lastBlockBase > maxMsin) {
+		return res.status(400).send(`
+			<div class="status" style="background: #d32f2f; margin: 10px 0;">
+				${airports.length} airports need MSIN blocks of ${MSIN_BLOCK_SIZE} from ${msinBase}, but the last block would
+				start at ${lastBlockBase}, past the largest ${plmn.msinLength}-digit MSIN ${maxMsin}. Lower the base MSIN or
+				MSIN_BLOCK_SIZE, or use fewer airports.
 			</div>
 		`);
 	}
 
 	// Update server state
+	configureQueue(queueSettings);
+	serverState.timeouts = timeouts;
 	serverState.currentRunMode = runMode;
 	serverState.isRunning = true;
 	serverState.sessionCount = 0;
 	serverState.totalUeCount = 0;
+	serverState.passengerSeed = isFlightMode ? seed : null;
+	serverState.displayTimezone = displayTimezone;
 
 	const baseIMSI = mcc + mnc + msinBase;
+	serverState.plmn = plmn;
+	serverState.baseIMSI = baseIMSI;
 	console.log('Generated base IMSI:', baseIMSI);
 
+	// Session configs carry the form's PLMN for the UE and the gNB; say so when config.yml had another one and
+	// report anything that would still keep the UEs from registering through the gNB
 	try {
-		serverState.baseMsin = parseInt(msinBase);
-		if (isNaN(serverState.baseMsin)) {
-			addLog('Warning: Base MSIN is not a number. IMSI incrementation might behave unexpectedly.');
-			serverState.currentMsinBase = msinBase;
-		} else {
-			serverState.currentMsinBase = serverState.baseMsin;
+		const template = await loadConfigTemplate(CONFIG_PATH);
+		const templatePlmn = template.ue.hplmn ? `${template.ue.hplmn.mcc}-${template.ue.hplmn.mnc}` : 'none';
+		if (templatePlmn !== plmn.key) {
+			addLog(`config.yml PLMN ${templatePlmn} is replaced by ${plmn.key} in every session config`);
 		}
-	} catch (e) {
-		addLog('Error parsing MSIN: ' + e.message + '. Proceeding with MSIN as string.');
-		serverState.currentMsinBase = msinBase;
+		checkPlmnConsistency(applyPlmn(template, plmn)).forEach((problem) => addLog(`⚠️ Config mismatch: ${problem}`));
+	} catch (err) {
+		addLog(`Could not check config.yml: ${err.message}`);
 	}
 
-	if (runMode === 'scheduled') {
+	serverState.baseMsin = parseInt(msinBase, 10);
+	serverState.currentMsinBase = serverState.baseMsin;
+
+	if (isFlightMode) {
 		addLog(
-			`Fetching flight data to schedule PacketRusher sessions with base IMSI prefix: ${mcc}${mnc} and MSIN starting from ${msinBase}`
+			`Fetching flight data for ${airports.join(
+				', '
+			)} to schedule PacketRusher sessions with base IMSI prefix: ${mcc}${mnc} and MSIN starting from ${msinBase}`
 		);
 
 		// Clear existing sessions
 		serverState.scheduledSessions.forEach((session) => clearTimeout(session.id));
 		serverState.scheduledSessions = [];
+		stopSimulation();
+		stopRecurrence();
+
+		if (runMode === 'scheduled' && recurrenceMode !== 'none') {
+			serverState.recurrence = {
+				mode: recurrenceMode,
+				startDate: recurrenceStart || null,
+				endDate: recurrenceEnd || null,
+				seed: (formData.seed || '').trim() || null,
+				displayTimezone,
+				airports,
+				days: {},
+			};
+			addLog(`Recurring schedule: ${describeRecurrence(serverState.recurrence)}`);
+		}
+
+		// Separate MSIN range per airport
+		serverState.msinRanges = {};
+		airports.forEach((airport, index) => {
+			const base = serverState.currentMsinBase + index * MSIN_BLOCK_SIZE;
+			serverState.msinRanges[airport] = { base, current: base };
+		});
 
 		try {
-			// Fetch flight data (reuse existing endpoint logic)
-			const flightResponse = await fetch(`http://localhost:${PORT}/api/flight-data-json`);
-			const flightData = await flightResponse.json();
+			let flightData = [];
+			if (runMode === 'replay') {
+				// Replay the historical day from now (plus offset), keeping the gaps between arrivals across all airports
+				addLog(`Passenger estimation seed: ${seed}`);
+				for (const airport of airports) {
+					const dayFlights = await loadReplayDayFlights(airport, replayDay);
+					flightData.push(
+						...buildArrivalTimes(dayFlights, seed, airport, displayTimezone).map((flight) => ({ ...flight, airport }))
+					);
+				}
+
+				const firstRecordedAt = Math.min(...flightData.map((flight) => flight.recordedAt));
+				const replayStart = Date.now() + replayOffsetMinutes * 60 * 1000 + 1000;
+				flightData = flightData
+					.sort((a, b) => a.recordedAt - b.recordedAt)
+					.map((flight) => {
+						const arrivalTime = replayStart + (flight.recordedAt - firstRecordedAt);
+						const timeZone = displayTimezone || getAirportTimezone(flight.airport);
+						return { ...flight, arrivalTime, time: formatZonedTime(arrivalTime, timeZone) };
+					});
 
-			if (!flightData || flightData.length === 0) {
+				if (flightData.length > 0) {
+					const spanMinutes = Math.round((flightData[flightData.length - 1].recordedAt - firstRecordedAt) / 60000);
+					addLog(
+						`Replaying ${replayDay} (${flightData.length} arrivals over ${spanMinutes} min) starting at ${
+							flightData[0].time
+						}`
+					);
+				}
+			} else if (!serverState.recurrence) {
+				if (serverState.uploadedSchedule) {
+					// Uploaded schedules replace the built-in flight data; entries without an airport go to the first one
+					addLog(`Using uploaded schedule ${serverState.uploadedSchedule.fileName}`);
+					serverState.uploadedSchedule.entries
+						.filter((entry) => entry.airport && !airports.includes(entry.airport))
+						.forEach((entry) => {
+							addLog(`Skipping uploaded entry ${entry.callsign || entry.time} for unselected airport ${entry.airport}`);
+						});
+				} else {
+					addLog(`Passenger estimation seed: ${seed}`);
+				}
+
+				for (const airport of airports) {
+					flightData.push(...(await loadDayArrivals(airport, { seed, displayTimezone, firstAirport: airports[0] })));
+				}
+			}
+
+			if (!serverState.recurrence && (!flightData || flightData.length === 0)) {
 				addLog('No flight data available or error fetching. Cannot schedule sessions.');
 				const nextSessionHtml = updateNextSessionDisplay();
 
@@ -442,7 +2420,7 @@ app.post('/api/sessions/start', async (req, res) => {
 					<div id="control-buttons">
 						<button class="start" 
 								hx-post="/api/sessions/start" 
-								hx-include="[name='mcc'], [name='mnc'], [name='msinBase'], [name='runMode'], [name='ueCountInput']"
+								hx-include="[name='mcc'], [name='mnc'], [name='msinBase'], [name='runMode'], [name='ueCountInput'], [name='seed'], [name='airports'], [name='displayTimezone'], [name='replayDay'], [name='replayOffset'], [name='timeScale'], [name='recurrence'], [name='recurrenceStart'], [name='recurrenceEnd'], [name='maxConcurrency'], [name='overlapPolicy'], [name='sessionTimeout'], [name='timeoutPerUe']"
 								hx-target="#control-buttons" 
 								hx-swap="outerHTML">
 							Start Sessions
@@ -461,6 +2439,7 @@ app.post('/api/sessions/start', async (req, res) => {
 						</button>
 						<button class="get-flight-data" 
 								hx-get="/api/flight-data" 
+								hx-include="[name='seed'], [name='airports'], [name='displayTimezone']"
 								hx-target="#flight-data-display">
 							Get Flight Data
 						</button>
@@ -474,63 +2453,47 @@ app.post('/api/sessions/start', async (req, res) => {
 			const now = new Date();
 			let scheduledCount = 0;
 
-			flightData.forEach((flight, index) => {
-				const [timeStr, period] = flight.time.split(' ');
-				let [hours, minutes, seconds] = timeStr.split(':').map(Number);
-
-				if (period === 'PM' && hours !== 12) {
-					hours += 12;
-				} else if (period === 'AM' && hours === 12) {
-					hours = 0;
-				}
-
-				const flightTimeToday = new Date(now.getFullYear(), now.getMonth(), now.getDate(), hours, minutes, seconds);
-				const delay = flightTimeToday.getTime() - now.getTime();
-
-				if (delay > 0) {
-					const timeoutId = setTimeout(async () => {
-						// Update next session display to show running
-						const runningHtml = `<div hx-swap-oob="outerHTML:#next-session-info">
-							<div id="next-session-info" class="status" style="margin-top: 15px; background: #f57c00; display: block;">
-								Running session for: ${flight.time} (${flight.foreignPassengers} UEs)
-							</div>
-						</div>`;
-
-						wsClients.forEach((ws) => {
-							if (ws.readyState === 1) {
-								ws.send(runningHtml);
-							}
-						});
+			// Time compression: the simulated clock starts at the real now and runs timeScale times faster
+			if (timeScale > 1) {
+				serverState.simulation = {
+					factor: timeScale,
+					realStart: now.getTime(),
+					simStart: now.getTime(),
+					timeZone: displayTimezone || getAirportTimezone(airports[0]),
+				};
+				addLog(`Time compression ${timeScale}x: one simulated hour takes ${Math.round(3600 / timeScale)}s`);
+			}
 
-						// Run the actual session
-						await runMultiUeSession(baseIMSI, flight.foreignPassengers, flight.time);
-					}, delay);
+			scheduledCount = scheduleFlights(flightData, { now, timeScale });
 
-					serverState.scheduledSessions.push({
-						id: timeoutId,
-						scheduledAt: flightTimeToday,
-						originalTimeStr: flight.time,
-						ueCount: flight.foreignPassengers,
-						isRunning: false,
-					});
-					scheduledCount++;
-				} else {
-					addLog(`Skipping past flight time: ${flight.time}`);
+			// Recurring schedules start with today (when it is part of the recurrence) and roll over at midnight
+			if (serverState.recurrence) {
+				if (serverState.uploadedSchedule) {
+					addLog(`Using uploaded schedule ${serverState.uploadedSchedule.fileName} for every day`);
 				}
-			});
+				for (const airport of airports) {
+					scheduledCount += await scheduleRecurringDay(airport, now);
+					armRollover(airport);
+				}
+			}
 
 			if (scheduledCount > 0) {
 				addLog(`Successfully scheduled ${scheduledCount} future sessions based on flight data.`);
-				const msinDisplay =
-					typeof serverState.currentMsinBase === 'number'
-						? serverState.currentMsinBase.toString().padStart(10, '0')
-						: serverState.currentMsinBase;
-				addLog(
-					`Base MSIN for the first session will be ${msinDisplay}. It will increment for subsequent UEs/sessions.`
-				);
-			} else {
+				if (serverState.simulation) {
+					startSimulationTimer();
+				}
+				Object.entries(serverState.msinRanges).forEach(([airport, range]) => {
+					addLog(
+						`${airport}: base MSIN for the first session will be ${formatMsin(
+							range.base
+						)}. It will increment for subsequent UEs/sessions.`
+					);
+				});
+			} else if (!serverState.recurrence) {
+				stopSimulation();
 				addLog('No future flight times found to schedule. All flight times may be in the past for today.');
 			}
+			await persistScheduleState();
 		} catch (error) {
 			addLog(`Error scheduling sessions: ${error.message}`);
 		}
@@ -545,15 +2508,12 @@ app.post('/api/sessions/start', async (req, res) => {
 			`);
 		}
 
-		const msinDisplay =
-			typeof serverState.currentMsinBase === 'number'
-				? serverState.currentMsinBase.toString().padStart(10, '0')
-				: serverState.currentMsinBase;
-		addLog(`Starting a single session with ${ueCount} UEs now. Base MSIN: ${msinDisplay}`);
+		addLog(`Starting a single session with ${ueCount} UEs now. Base MSIN: ${formatMsin(serverState.currentMsinBase)}`);
 
-		// Run immediately
-		setTimeout(async () => {
-			await runMultiUeSession(baseIMSI, ueCount, { type: 'runNow' });
+		// Run immediately (or as soon as the queue has a free slot)
+		serverState.runNowTimer = setTimeout(() => {
+			serverState.runNowTimer = null;
+			submitSession({ type: 'runNow', ueCount, status: 'pending' });
 		}, 100);
 	}
 
@@ -564,7 +2524,7 @@ app.post('/api/sessions/start', async (req, res) => {
 		<div id="control-buttons">
 			<button class="start" disabled
 					hx-post="/api/sessions/start" 
-					hx-include="[name='mcc'], [name='mnc'], [name='msinBase'], [name='runMode'], [name='ueCountInput']"
+					hx-include="[name='mcc'], [name='mnc'], [name='msinBase'], [name='runMode'], [name='ueCountInput'], [name='seed'], [name='airports'], [name='displayTimezone'], [name='replayDay'], [name='replayOffset'], [name='timeScale'], [name='recurrence'], [name='recurrenceStart'], [name='recurrenceEnd'], [name='maxConcurrency'], [name='overlapPolicy'], [name='sessionTimeout'], [name='timeoutPerUe']"
 					hx-target="#control-buttons" 
 					hx-swap="outerHTML">
 				Start Sessions
@@ -583,6 +2543,7 @@ app.post('/api/sessions/start', async (req, res) => {
 			</button>
 			<button class="get-flight-data" 
 					hx-get="/api/flight-data" 
+					hx-include="[name='seed'], [name='airports'], [name='displayTimezone']"
 					hx-target="#flight-data-display">
 				Get Flight Data
 			</button>
@@ -592,11 +2553,38 @@ app.post('/api/sessions/start', async (req, res) => {
 });
 
 // Stop sessions handler
-app.post('/api/sessions/stop', (req, res) => {
+app.post('/api/sessions/stop', async (req, res) => {
 	// Clear scheduled sessions
 	serverState.scheduledSessions.forEach((session) => clearTimeout(session.id));
 	serverState.scheduledSessions = [];
 	serverState.isRunning = false;
+	clearTimeout(serverState.runNowTimer);
+	serverState.runNowTimer = null;
+	stopSimulation();
+	stopRecurrence();
+	const droppedJobs = clearQueue().length;
+	if (droppedJobs > 0) {
+		addLog(`Dropped ${droppedJobs} queued sessions`);
+	}
+
+	// Terminate PacketRusher processes that are still running; their sessions end up aborted
+	const liveProcesses = [...serverState.liveProcesses.values()];
+	if (liveProcesses.length > 0) {
+		addLog(`Terminating ${liveProcesses.length} running PacketRusher processes...`);
+		await Promise.all(
+			liveProcesses.map((live) => {
+				live.aborted = true;
+				return terminateProcess(live.child, {
+					onSignal: (signal) => console.log(`Session #${live.sessionNumber} stopped, sending ${signal}`),
+				});
+			})
+		);
+		addLog(
+			`Killed ${liveProcesses.length} PacketRusher processes (sessions ${liveProcesses
+				.map((live) => `#${live.sessionNumber}`)
+				.join(', ')})`
+		);
+	}
 
 	addLog(
 		`Stopped / Reset. ${serverState.sessionCount} sessions ran in the last active period, ${serverState.totalUeCount} total UEs processed.`
@@ -605,38 +2593,185 @@ app.post('/api/sessions/stop', (req, res) => {
 	// Reset some state
 	serverState.baseMsin = null;
 	serverState.currentMsinBase = null;
+	serverState.baseIMSI = null;
+	serverState.plmn = null;
+	serverState.msinRanges = {};
+	persistQueue = persistQueue.then(() => clearScheduleState()).catch((err) => console.error(err.message));
 
 	const nextSessionHtml = updateNextSessionDisplay();
 
-	res.send(`
-		<div id="control-buttons">
-			<button class="start"
-					hx-post="/api/sessions/start" 
-					hx-include="[name='mcc'], [name='mnc'], [name='msinBase'], [name='runMode'], [name='ueCountInput']"
-					hx-target="#control-buttons" 
-					hx-swap="outerHTML">
-				Start Sessions
-			</button>
-			<button class="stop" disabled
-					hx-post="/api/sessions/stop" 
-					hx-target="#control-buttons" 
-					hx-swap="outerHTML">
-				Stop / Reset
-			</button>
-			<button class="clear" 
-					hx-post="/api/logs/clear" 
-					hx-target="#logs-container"
-					hx-swap="innerHTML">
-				Clear Logs
-			</button>
-			<button class="get-flight-data" 
-					hx-get="/api/flight-data" 
-					hx-target="#flight-data-display">
-				Get Flight Data
-			</button>
-        </div>
-		<div hx-swap-oob="outerHTML:#next-session-info">${nextSessionHtml}</div>
-	`);
+	res.send(`
+		<div id="control-buttons">
+			<button class="start"
+					hx-post="/api/sessions/start" 
+					hx-include="[name='mcc'], [name='mnc'], [name='msinBase'], [name='runMode'], [name='ueCountInput'], [name='seed'], [name='airports'], [name='displayTimezone'], [name='replayDay'], [name='replayOffset'], [name='timeScale'], [name='recurrence'], [name='recurrenceStart'], [name='recurrenceEnd'], [name='maxConcurrency'], [name='overlapPolicy'], [name='sessionTimeout'], [name='timeoutPerUe']"
+					hx-target="#control-buttons" 
+					hx-swap="outerHTML">
+				Start Sessions
+			</button>
+			<button class="stop" disabled
+					hx-post="/api/sessions/stop" 
+					hx-target="#control-buttons" 
+					hx-swap="outerHTML">
+				Stop / Reset
+			</button>
+			<button class="clear" 
+					hx-post="/api/logs/clear" 
+					hx-target="#logs-container"
+					hx-swap="innerHTML">
+				Clear Logs
+			</button>
+			<button class="get-flight-data" 
+					hx-get="/api/flight-data" 
+					hx-include="[name='seed'], [name='airports'], [name='displayTimezone']"
+					hx-target="#flight-data-display">
+				Get Flight Data
+			</button>
+        </div>
+		<div hx-swap-oob="outerHTML:#next-session-info">${nextSessionHtml}</div>
+	`);
+});
+
+// Session history (HTML for display, ?format=json for the raw records without output)
+app.get('/api/sessions/history', (req, res) => {
+	const { airport, trigger, status, from, to, limit } = req.query;
+
+	try {
+		// Date-only "to" filters include the whole day
+		const toFilter = to && /^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999` : to;
+		const records = listSessionRecords({ airport, trigger, status, from, to: toFilter, limit });
+
+		if (req.query.format === 'json') {
+			return res.json(records.map(({ output, ...record }) => record));
+		}
+		res.send(renderSessionHistory(records, { airport, trigger, status, from, to }));
+	} catch (error) {
+		if (req.query.format === 'json') {
+			return res.status(400).json({ error: error.message });
+		}
+		res.status(400).send(`
+			<div class="status" style="background: #d32f2f; margin: 10px 0;">
+				${error.message}
+			</div>
+		`);
+	}
+});
+
+app.get('/api/sessions/history/:id', (req, res) => {
+	const record = getSessionRecord(req.params.id);
+	if (!record) {
+		if (req.query.format === 'json') {
+			return res.status(404).json({ error: 'Session record not found' });
+		}
+		return res.status(404).send(`
+			<div class="status" style="background: #d32f2f; margin: 10px 0;">
+				Session record not found
+			</div>
+		`);
+	}
+
+	if (req.query.format === 'json') {
+		return res.json(record);
+	}
+	res.send(renderSessionRecord(record));
+});
+
+// Registration metrics panel (HTML for #metrics-panel, ?format=json for the numbers); ?hours= sets the window
+app.get('/api/metrics', (req, res) => {
+	try {
+		const metrics = computeMetrics(getSessionRecords(), { windowHours: parseWindowHours(req.query.hours) });
+		if (req.query.format === 'json') {
+			return res.json(metrics);
+		}
+		res.send(renderMetricsPanel(metrics));
+	} catch (error) {
+		if (req.query.format === 'json') {
+			return res.status(400).json({ error: error.message });
+		}
+		res.status(400).send(`
+			<div class="status" style="background: #d32f2f; margin: 10px 0;">
+				${error.message}
+			</div>
+		`);
+	}
+});
+
+// MSIN allocation ledger (HTML for display, ?format=json for the raw allocations)
+app.get('/api/msin/allocations', (req, res) => {
+	const { plmn, status } = req.query;
+	const allocations = listMsinAllocations({ plmn, status });
+	if (req.query.format === 'json') {
+		return res.json(allocations);
+	}
+	res.send(renderMsinLedger(allocations, { plmn, status }));
+});
+
+// Reserve an exact range by hand (e.g. IMSIs provisioned for another tool); overlapping ranges are refused
+app.post('/api/msin/allocations', (req, res) => {
+	const body = req.body || {};
+	const wantsJson = req.query.format === 'json' || req.is('application/json');
+	const plmn = String(body.plmn || '').trim();
+	const start = String(body.start ?? '').trim();
+	const count = Number(body.count);
+
+	const fail = (status, message) => {
+		if (wantsJson) {
+			return res.status(status).json({ error: message });
+		}
+		res.status(status).send(`
+			<div class="status" style="background: #d32f2f; margin: 10px 0;">
+				${escapeHtml(message)}
+			</div>
+		`);
+	};
+
+	try {
+		const { key, msinLength } = parsePlmnKey(plmn);
+		if (!new RegExp(`^\\d{1,${msinLength}}$`).test(start)) {
+			return fail(400, `First MSIN must be up to ${msinLength} digits for PLMN ${key}. Current value: "${start}"`);
+		}
+
+		const allocation = reserveMsinRange({ plmn: key, start: parseInt(start, 10), count, msinLength });
+		addLog(`Reserved MSINs ${formatAllocationRange(allocation)} for PLMN ${key}`);
+		if (wantsJson) {
+			return res.status(201).json(allocation);
+		}
+		res.send(renderMsinLedger(listMsinAllocations()));
+	} catch (error) {
+		fail(error.conflict ? 409 : 400, error.message);
+	}
+});
+
+app.post('/api/msin/allocations/:id/release', (req, res) => {
+	const allocation = getMsinAllocation(req.params.id);
+	const wantsJson = req.query.format === 'json';
+	let error = null;
+	let status = 400;
+	if (!allocation) {
+		error = 'MSIN allocation not found';
+		status = 404;
+	} else if (serverState.activeAllocationIds.has(allocation.id)) {
+		error = `MSINs ${formatAllocationRange(allocation)} are in use by running session #${allocation.sessionNumber}`;
+		status = 409;
+	}
+
+	if (error) {
+		if (wantsJson) {
+			return res.status(status).json({ error });
+		}
+		return res.status(status).send(`
+			<div class="status" style="background: #d32f2f; margin: 10px 0;">
+				${error}
+			</div>
+		`);
+	}
+
+	releaseMsinRange(allocation.id);
+	addLog(`Released MSINs ${formatAllocationRange(allocation)} of PLMN ${allocation.plmn}`);
+	if (wantsJson) {
+		return res.json(allocation);
+	}
+	res.send(renderMsinLedger(listMsinAllocations()));
 });
 
 // Clear logs handler
@@ -659,87 +2794,550 @@ app.post('/api/logs/clear', (req, res) => {
 // Updated flight data endpoint to return HTML for display
 app.get('/api/flight-data', async (req, res) => {
 	try {
-		const { airport = 'RKSI', accessToken } = req.query;
+		const { accessToken, mock, refresh } = req.query;
+		const airports = parseAirportList(req.query.airports || req.query.airport);
+		const seed = req.query.seed || defaultSeed(airports[0]);
+		const displayTimezone = resolveDisplayTimezone(req.query.displayTimezone || serverState.displayTimezone);
+
+		let html = '';
+		for (const airport of airports) {
+			const { flights, source, error: sourceError } = await loadArrivalFlights({
+				airport,
+				accessToken,
+				mock: mock === 'true',
+				refresh: refresh === 'true',
+			});
 
-		// Calculate timestamps for last week same day (full 24 hours)
-		const now = new Date();
-		const lastWeek = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000); // 7 days ago
+			// Arrival times are shown as HH:MM:SS in the display timezone, UE counts come from the seeded estimation
+			const timeZone = displayTimezone || getAirportTimezone(airport);
+			const arrivalTimes = buildArrivalTimes(flights, seed, airport, displayTimezone);
 
-		// Set to beginning of that day (00:00:00)
-		const beginDate = new Date(lastWeek);
-		beginDate.setHours(0, 0, 0, 0);
+			// Return HTML for display
+			html += `<div class="status" style="background: #2196F3; margin: 10px 0;">${airport} Flight Data Retrieved (source: ${source})</div>`;
+			if (sourceError) {
+				html += `<div class="status" style="background: #ff9800; margin: 10px 0;">OpenSky Network unavailable: ${escapeHtml(sourceError)}</div>`;
+			}
+			html +=
+				'<div style="background: #2a2a2a; padding: 15px; border-radius: 5px; margin: 10px 0; font-family: monospace; font-size: 12px;">';
+			html += `<h4 style="color: #4CAF50; margin: 0 0 10px 0;">${airport} Arrivals for Today (seed: ${seed}, times in ${timeZone}):</h4>`;
+
+			if (arrivalTimes.length > 0) {
+				arrivalTimes.forEach((flight) => {
+					const passengerInfo = flight.freighter
+						? 'freighter, no passengers'
+						: `${flight.foreignPassengers} foreign passengers of ${flight.seats} seats`;
+					const originInfo = `from ${escapeHtml(flight.origin || 'unknown')} (${flight.ratioKey} ${formatRatioRange(
+						flight.minRatio,
+						flight.maxRatio
+					)} foreign)`;
+					const callsign = escapeHtml(flight.callsign || '(no callsign)');
+					html += `<div style="margin: 5px 0; color: #e0e0e0;">${flight.time} - ${callsign} (${escapeHtml(
+						flight.aircraftType
+					)}) ${originInfo} - ${passengerInfo}</div>`;
+				});
+			} else {
+				html += '<div style="color: #ff9800;">No flight data available for today</div>';
+			}
 
-		// Set to end of that day (23:59:59)
-		const endDate = new Date(lastWeek);
-		endDate.setHours(23, 59, 59, 999);
+			html += '</div>';
+		}
 
-		const beginTimestamp = Math.floor(beginDate.getTime() / 1000);
-		const endTimestamp = Math.floor(endDate.getTime() / 1000);
+		res.send(html);
+	} catch (error) {
+		console.error('Flight data endpoint error:', error);
+		res.send(`
+			<div class="status" style="background: #d32f2f; margin: 10px 0;">
+				Error fetching flight data: ${escapeHtml(error.message)}
+			</div>
+		`);
+	}
+});
 
-		const estimatedPassengers = 174; // Passengers per arrival
+// Flight data snapshot list (HTML for display)
+app.get('/api/flight-cache', async (req, res) => {
+	try {
+		const snapshots = await listSnapshots(req.query.airport || null);
+		res.send(renderSnapshotList(snapshots));
+	} catch (error) {
+		console.error('Flight cache list error:', error);
+		res.send(`
+			<div class="status" style="background: #d32f2f; margin: 10px 0;">
+				Error listing flight snapshots: ${escapeHtml(error.message)}
+			</div>
+		`);
+	}
+});
 
-		console.log('Fetching flight data from OpenSky Network...');
-		console.log('Begin timestamp:', beginTimestamp);
-		console.log('End timestamp:', endTimestamp);
+// Raw snapshot content
+app.get('/api/flight-cache/:airport/:date', async (req, res) => {
+	try {
+		const snapshot = await loadSnapshot(req.params.airport, req.params.date);
+		if (!snapshot) {
+			return res.status(404).json({ error: 'Snapshot not found' });
+		}
+		res.json(snapshot);
+	} catch (error) {
+		res.status(400).json({ error: error.message });
+	}
+});
 
-		// Use dynamic import for ES module (server-side only)
-		const flightModule = await import('./flight.mjs');
+// Pick a snapshot to be used by flight data and scheduled runs for its airport
+app.post('/api/flight-cache/:airport/:date/select', async (req, res) => {
+	try {
+		const { airport, date } = req.params;
+		const snapshot = await loadSnapshot(airport, date);
+		if (!snapshot) {
+			return res.status(404).send(`
+				<div class="status" style="background: #d32f2f; margin: 10px 0;">
+					Flight snapshot ${airport} ${date} not found
+				</div>
+			`);
+		}
 
-		const arrivalTimestamps = flightModule.flight.map((data) => data.firstSeen || data.lastSeen);
-		const today = new Date();
+		serverState.selectedSnapshot = { airport, date };
+		addLog(`Selected flight snapshot ${airport} ${date} (${snapshot.flights.length} flights) for scheduling`);
+		res.send(renderSnapshotList(await listSnapshots()));
+	} catch (error) {
+		res.status(400).send(`
+			<div class="status" style="background: #d32f2f; margin: 10px 0;">
+				${escapeHtml(error.message)}
+			</div>
+		`);
+	}
+});
 
-		// From the timestamps, I should be able to get the time value, HH:MM:SS in KST timezone
-		const arrivalTimes = arrivalTimestamps
-			.filter((timestamp) => {
-				const date = new Date(timestamp * 1000);
-				return date.getDay() === today.getDay();
-			})
-			.sort((a, b) => a - b)
-			.map((timestamp) => {
-				const date = new Date(timestamp * 1000);
-				// Estimated foreigners are 40% - 60% of total passengers, it should be random
-				const estimatedForeigners = Math.floor(
-					estimatedPassengers * 0.4 + Math.random() * (estimatedPassengers * 0.6 - estimatedPassengers * 0.4)
-				);
+app.post('/api/flight-cache/unselect', async (req, res) => {
+	if (serverState.selectedSnapshot) {
+		addLog(`Unselected flight snapshot ${serverState.selectedSnapshot.airport} ${serverState.selectedSnapshot.date}`);
+	}
+	serverState.selectedSnapshot = null;
+	res.send(renderSnapshotList(await listSnapshots()));
+});
 
-				const data = {
-					time: date.toLocaleTimeString('en-US', { timeZone: 'Asia/Seoul' }),
-					foreignPassengers: estimatedForeigners,
-				};
+app.delete('/api/flight-cache/:airport/:date', async (req, res) => {
+	try {
+		const { airport, date } = req.params;
+		const deleted = await deleteSnapshot(airport, date);
+		if (deleted) {
+			addLog(`Deleted flight snapshot ${airport} ${date}`);
+		}
 
-				return data;
-			});
+		const selected = serverState.selectedSnapshot;
+		if (selected && selected.airport === airport && selected.date === date) {
+			serverState.selectedSnapshot = null;
+		}
 
-		console.log(today.getDay());
-		console.log(arrivalTimes);
+		res.send(renderSnapshotList(await listSnapshots()));
+	} catch (error) {
+		res.status(400).send(`
+			<div class="status" style="background: #d32f2f; margin: 10px 0;">
+				${escapeHtml(error.message)}
+			</div>
+		`);
+	}
+});
 
-		// Return HTML for display
-		let html = '<div class="status" style="background: #2196F3; margin: 10px 0;">Flight Data Retrieved</div>';
-		html +=
-			'<div style="background: #2a2a2a; padding: 15px; border-radius: 5px; margin: 10px 0; font-family: monospace; font-size: 12px;">';
-		html += '<h4 style="color: #4CAF50; margin: 0 0 10px 0;">Flight Arrivals for Today:</h4>';
+// Upload a custom arrival schedule (CSV or JSON: time, callsign, passengers)
+app.post('/api/schedule/upload', (req, res) => {
+	scheduleUpload.single('scheduleFile')(req, res, (err) => {
+		if (err) {
+			return res.status(400).send(renderUploadedSchedule(null, [`Upload failed: ${err.message}`]));
+		}
 
-		if (arrivalTimes.length > 0) {
-			arrivalTimes.forEach((flight) => {
-				html += `<div style="margin: 5px 0; color: #e0e0e0;">${flight.time} - ${flight.foreignPassengers} foreign passengers</div>`;
-			});
-		} else {
-			html += '<div style="color: #ff9800;">No flight data available for today</div>';
+		if (!req.file) {
+			return res.status(400).send(renderUploadedSchedule(null, ['No schedule file received']));
 		}
 
-		html += '</div>';
+		const content = req.file.buffer.toString('utf8');
+		const { format, entries, errors } = parseSchedule(content, req.file.originalname);
 
-		res.send(html);
+		if (errors.length > 0) {
+			addLog(`Rejected uploaded schedule ${req.file.originalname}: ${errors.length} errors`);
+			return res.status(400).send(renderUploadedSchedule(null, errors));
+		}
+
+		serverState.uploadedSchedule = {
+			fileName: req.file.originalname,
+			format,
+			uploadedAt: new Date().toISOString(),
+			entries,
+		};
+		addLog(`Uploaded ${format.toUpperCase()} schedule ${req.file.originalname} with ${entries.length} arrivals`);
+
+		res.send(renderUploadedSchedule(serverState.uploadedSchedule));
+	});
+});
+
+app.get('/api/schedule/upload', (req, res) => {
+	res.send(renderUploadedSchedule(serverState.uploadedSchedule));
+});
+
+app.delete('/api/schedule/upload', (req, res) => {
+	if (serverState.uploadedSchedule) {
+		addLog(`Removed uploaded schedule ${serverState.uploadedSchedule.fileName}`);
+	}
+	serverState.uploadedSchedule = null;
+	res.send(renderUploadedSchedule(null));
+});
+
+// Subscriber credential profiles (HTML for display, ?format=json for the full profiles)
+app.get('/api/subscriber-profiles', (req, res) => {
+	if (req.query.format === 'json') {
+		return res.json(getSubscriberProfiles());
+	}
+	res.send(renderSubscriberProfiles());
+});
+
+// Import a profile CSV; mode "replace" (default) swaps the whole store, "append" adds non-overlapping ranges
+app.post('/api/subscriber-profiles/import', (req, res) => {
+	profileUpload.single('profilesFile')(req, res, async (err) => {
+		const wantsJson = req.query.format === 'json';
+		const reject = (errors) =>
+			wantsJson ? res.status(400).json({ errors }) : res.status(400).send(renderSubscriberProfiles(errors));
+
+		if (err) {
+			return reject([`Upload failed: ${err.message}`]);
+		}
+		if (!req.file) {
+			return reject(['No profile file received']);
+		}
+
+		// This callback's promise is not the route's, so a failed save has to be answered here
+		try {
+			const mode = (req.body && req.body.mode) || 'replace';
+			const { imported, errors } = await importSubscriberProfiles(req.file.buffer.toString('utf8'), { mode });
+			if (errors.length > 0) {
+				addLog(`Rejected subscriber profiles ${req.file.originalname}: ${errors.length} errors`);
+				return reject(errors);
+			}
+
+			addLog(`Imported ${imported.length} subscriber profile ranges from ${req.file.originalname} (${mode})`);
+			if (wantsJson) {
+				return res.json(getSubscriberProfiles());
+			}
+			res.send(renderSubscriberProfiles());
+		} catch (error) {
+			console.error('Subscriber profile import error:', error);
+			const message = `Could not save subscriber profiles: ${error.message}`;
+			if (wantsJson) {
+				return res.status(500).json({ errors: [message] });
+			}
+			res.status(500).send(renderSubscriberProfiles([message]));
+		}
+	});
+});
+
+app.delete('/api/subscriber-profiles/:id', async (req, res) => {
+	await removeSubscriberProfile(req.params.id);
+	if (req.query.format === 'json') {
+		return res.json(getSubscriberProfiles());
+	}
+	res.send(renderSubscriberProfiles());
+});
+
+app.delete('/api/subscriber-profiles', async (req, res) => {
+	await clearSubscriberProfiles();
+	addLog('Removed all subscriber profiles');
+	if (req.query.format === 'json') {
+		return res.json(getSubscriberProfiles());
+	}
+	res.send(renderSubscriberProfiles());
+});
+
+// Subscriber import files covering every IMSI the active schedule will allocate: ?core=free5gc downloads WebConsole
+// request bodies (one per block of consecutive IMSIs), ?core=open5gs an NDJSON file for mongoimport. Without core,
+// the planned ranges as HTML (?format=json for the plan itself).
+app.get('/api/provisioning/export', async (req, res) => {
+	const { core, format } = req.query;
+	const wantsJson = format === 'json' || Boolean(core);
+
+	let provisioning;
+	try {
+		if (core && !['free5gc', 'open5gs'].includes(core)) {
+			throw new Error(`Unknown core "${core}" (use free5gc or open5gs)`);
+		}
+		provisioning = await planScheduleProvisioning();
+		if (core === 'open5gs' && provisioning.totalUes > MAX_EXPORT_UES) {
+			throw new Error(
+				`${provisioning.totalUes} UEs exceed the Open5GS export limit of ${MAX_EXPORT_UES} (MAX_EXPORT_UES)`
+			);
+		}
 	} catch (error) {
-		console.error('Flight data endpoint error:', error);
-		res.send(`
+		return wantsJson
+			? res.status(400).json({ error: error.message })
+			: res.send(renderProvisioningPlan(null, error.message));
+	}
+
+	const { plmn, ranges, totalUes } = provisioning;
+	const blocks = ranges.map((range) => range.block);
+	const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+	if (core === 'free5gc') {
+		addLog(`Exported ${totalUes} subscribers for free5GC (${blocks.length} WebConsole requests)`);
+		res.setHeader('Content-Disposition', `attachment; filename="free5gc-subscribers-${stamp}.json"`);
+		return res.json({
+			generatedAt: new Date().toISOString(),
+			plmn: plmn.key,
+			ueCount: totalUes,
+			subscribers: blocks.map(buildFree5gcSubscriber),
+		});
+	}
+	if (core === 'open5gs') {
+		addLog(`Exported ${totalUes} subscribers for Open5GS`);
+		res.setHeader('Content-Disposition', `attachment; filename="open5gs-subscribers-${stamp}.ndjson"`);
+		res.type('application/x-ndjson');
+		const lines = blocks.flatMap(buildOpen5gsSubscribers).map((document) => JSON.stringify(document));
+		return res.send(`${lines.join('\n')}\n`);
+	}
+	if (format === 'json') {
+		return res.json({
+			plmn: plmn.key,
+			ueCount: totalUes,
+			ranges: ranges.map(({ session, start, end, profile, warnings }) => ({
+				entryId: session.entryId,
+				airport: session.airport,
+				time: session.originalTimeStr,
+				callsign: session.callsign,
+				ueCount: end - start + 1,
+				msinStart: formatMsin(start, plmn),
+				msinEnd: formatMsin(end, plmn),
+				profileId: profile ? profile.id : null,
+				warnings,
+			})),
+		});
+	}
+	res.send(renderProvisioningPlan(provisioning));
+});
+
+// Schedule table (HTML for display, ?format=json for the raw entries)
+app.get('/api/schedule/sessions', (req, res) => {
+	if (req.query.format === 'json') {
+		return res.json(
+			serverState.scheduledSessions.map((session) => ({
+				entryId: session.entryId,
+				airport: session.airport,
+				callsign: session.callsign,
+				time: session.originalTimeStr,
+				scheduledAt: session.scheduledAt.toISOString(),
+				simulatedAt: session.simulatedAt ? session.simulatedAt.toISOString() : null,
+				ueCount: session.ueCount,
+				status: session.status,
+				timeoutSeconds: session.timeoutSeconds ?? null,
+				configPath: session.configPath || null,
+			}))
+		);
+	}
+	res.send(renderScheduleTable());
+});
+
+app.post('/api/schedule/sessions/:entryId/cancel', (req, res) =>
+	handleScheduleEdit(req, res, (session) => {
+		if (session.status !== 'pending' && session.status !== 'queued') {
+			throw new Error(`Only pending or queued sessions can be cancelled (this one is ${session.status})`);
+		}
+		withdrawSession(session);
+		session.status = 'cancelled';
+		addLog(`Cancelled scheduled session ${session.airport} ${session.originalTimeStr}`);
+	})
+);
+
+// The new time of day is read in the timezone the arrival is shown in, on the session's current day
+app.post('/api/schedule/sessions/:entryId/reschedule', (req, res) =>
+	handleScheduleEdit(req, res, (session) => {
+		const seconds = parseTimeOfDay(req.body.time);
+		if (seconds === null) {
+			throw new Error(`Invalid time "${req.body.time || ''}" (use HH:MM[:SS] or h:mm[:ss] AM/PM)`);
+		}
+
+		const timeZone = serverState.displayTimezone || getAirportTimezone(session.airport);
+		const day = getZonedParts(session.simulatedAt || session.scheduledAt, timeZone);
+		const arrivalTime = zonedTimeToEpoch({ year: day.year, month: day.month, day: day.day, second: seconds }, timeZone);
+
+		// Time-compressed sessions move on the simulated clock, the real wait shrinks by the same factor
+		const simulation = serverState.simulation;
+		const delay =
+			simulation && session.simulatedAt
+				? (arrivalTime - getSimulatedNow().getTime()) / simulation.factor
+				: arrivalTime - Date.now();
+		if (delay <= 0) {
+			throw new Error(`${formatZonedTime(arrivalTime, timeZone)} has already passed`);
+		}
+
+		withdrawSession(session);
+		session.scheduledAt = new Date(Date.now() + delay);
+		session.simulatedAt = simulation && session.simulatedAt ? new Date(arrivalTime) : null;
+		session.originalTimeStr = formatZonedTime(arrivalTime, timeZone);
+		session.status = 'pending';
+		armScheduledSession(session, delay);
+		if (simulation && !serverState.simulationTimer) {
+			startSimulationTimer();
+		}
+		addLog(`Rescheduled session ${session.airport} ${session.callsign || ''} to ${session.originalTimeStr}`);
+	})
+);
+
+app.post('/api/schedule/sessions/:entryId/ue-count', (req, res) =>
+	handleScheduleEdit(req, res, (session) => {
+		const ueCount = Number(req.body.ueCount);
+		if (!Number.isInteger(ueCount) || ueCount < 1 || ueCount > MAX_PASSENGERS) {
+			throw new Error(`UE count must be an integer between 1 and ${MAX_PASSENGERS}`);
+		}
+
+		session.ueCount = ueCount;
+		if (session.job) {
+			// A merge target also carries the UEs of the sessions merged into it
+			const mergedUes = (session.job.mergedJobs || []).reduce((total, mergedJob) => total + mergedJob.ueCount, 0);
+			session.job.ueCount = ueCount + mergedUes;
+		}
+		addLog(`Session ${session.airport} ${session.originalTimeStr} now runs ${ueCount} UEs`);
+	})
+);
+
+// An empty value goes back to the global timeout, 0 runs the session until stopped
+app.post('/api/schedule/sessions/:entryId/timeout', (req, res) =>
+	handleScheduleEdit(req, res, (session) => {
+		const value = String(req.body.timeoutSeconds ?? '').trim();
+		session.timeoutSeconds = value === '' ? null : parseTimeoutSeconds(value);
+		addLog(`Session ${session.airport} ${session.originalTimeStr} timeout: ${sessionTimeoutLabel(session)}`);
+	})
+);
+
+app.post('/api/schedule/sessions/:entryId/run-now', (req, res) =>
+	handleScheduleEdit(req, res, (session) => {
+		if (!serverState.baseIMSI) {
+			throw new Error('No active schedule, start a schedule first');
+		}
+
+		withdrawSession(session);
+		session.trigger = 'manual';
+		session.scheduledAt = new Date();
+		session.status = 'pending';
+		armScheduledSession(session, 0);
+		addLog(`Running session ${session.airport} ${session.originalTimeStr} now`);
+	})
+);
+
+// Passenger capacity tables (HTML for display, ?format=json for raw tables)
+app.get('/api/capacity', (req, res) => {
+	if (req.query.format === 'json') {
+		return res.json(getCapacityTables());
+	}
+	res.send(renderCapacityTables());
+});
+
+app.post('/api/capacity/airlines', (req, res) =>
+	handleCapacityEdit(req, res, () =>
+		setAirline(req.body.code, {
+			name: req.body.name,
+			aircraft: req.body.aircraft,
+			freighter: req.body.freighter === true || req.body.freighter === 'true',
+		})
+	)
+);
+
+app.delete('/api/capacity/airlines/:code', (req, res) =>
+	handleCapacityEdit(req, res, () => removeEntry('airlines', req.params.code))
+);
+
+app.post('/api/capacity/aircraft', (req, res) =>
+	handleCapacityEdit(req, res, () =>
+		setAircraftType(req.body.type, {
+			seats: req.body.seats,
+			freighter: req.body.freighter === true || req.body.freighter === 'true',
+		})
+	)
+);
+
+app.delete('/api/capacity/aircraft/:type', (req, res) =>
+	handleCapacityEdit(req, res, () => removeEntry('aircraft', req.params.type))
+);
+
+app.post('/api/capacity/icao24', (req, res) =>
+	handleCapacityEdit(req, res, () => setIcao24Aircraft(req.body.icao24, req.body.aircraft))
+);
+
+app.delete('/api/capacity/icao24/:icao24', (req, res) =>
+	handleCapacityEdit(req, res, () => removeEntry('icao24', req.params.icao24))
+);
+
+// Foreign-passenger ratio table (HTML for display, ?format=json for the raw table)
+app.get('/api/passenger-ratios', (req, res) => {
+	if (req.query.format === 'json') {
+		return res.json(getPassengerRatios());
+	}
+	res.send(renderPassengerRatios());
+});
+
+// Set the ratio range for an origin (min/max in percent, or fractions with unit=fraction)
+app.post('/api/passenger-ratios', async (req, res) => {
+	try {
+		const { airport, min, max, unit } = req.body;
+		const ratio = await setPassengerRatio(airport, { min, max, unit: unit || 'percent' });
+		addLog(`Foreign-passenger ratio for ${String(airport).toUpperCase()} set to ${formatRatioRange(ratio.min, ratio.max)}`);
+
+		if (req.query.format === 'json') {
+			return res.json(getPassengerRatios());
+		}
+		res.send(renderPassengerRatios());
+	} catch (error) {
+		if (req.query.format === 'json') {
+			return res.status(400).json({ error: error.message });
+		}
+		res.status(400).send(`
+			<div class="status" style="background: #d32f2f; margin: 10px 0;">
+				${escapeHtml(error.message)}
+			</div>
+			${renderPassengerRatios()}
+		`);
+	}
+});
+
+app.delete('/api/passenger-ratios/:airport', async (req, res) => {
+	try {
+		await removePassengerRatio(req.params.airport);
+
+		if (req.query.format === 'json') {
+			return res.json(getPassengerRatios());
+		}
+		res.send(renderPassengerRatios());
+	} catch (error) {
+		if (req.query.format === 'json') {
+			return res.status(400).json({ error: error.message });
+		}
+		res.status(400).send(`
 			<div class="status" style="background: #d32f2f; margin: 10px 0;">
-				Error fetching flight data: ${error.message}
+				${escapeHtml(error.message)}
 			</div>
 		`);
 	}
 });
 
+// Historical days available for replay mode (HTML <option> list)
+app.get('/api/replay/days', async (req, res) => {
+	try {
+		const airports = parseAirportList(req.query.airports);
+		const days = await listReplayDays(airports);
+
+		if (days.length === 0) {
+			return res.send('<option value="">No historical days available</option>');
+		}
+
+		res.send(
+			days
+				.map((day) => {
+					const [source, date] = day.value.split(':');
+					const counts = Object.entries(day.counts)
+						.map(([airport, count]) => `${airport}: ${count}`)
+						.join(', ');
+					return `<option value="${day.value}">${date} (${source === 'snapshot' ? 'snapshot' : 'flight.mjs'}, ${counts})</option>`;
+				})
+				.join('')
+		);
+	} catch (error) {
+		res.send(`<option value="">${escapeHtml(error.message)}</option>`);
+	}
+});
+
 // Express Routes
 
 // Serve the main HTML page
@@ -788,6 +3386,68 @@ const server = app.listen(PORT, async () => {
 		console.error('Please ensure config.yml exists in the PacketRusher config directory');
 	}
 
+	// Load edited passenger capacity tables
+	try {
+		await loadCapacityTables();
+		console.log('✓ Passenger capacity tables loaded');
+	} catch (err) {
+		console.error(`✗ Could not load passenger capacity tables: ${err.message}`);
+	}
+
+	// Load edited foreign-passenger ratios
+	try {
+		await loadPassengerRatios();
+		console.log('✓ Foreign-passenger ratios loaded');
+	} catch (err) {
+		console.error(`✗ Could not load foreign-passenger ratios: ${err.message}`);
+	}
+
+	// Load the subscriber credential profiles
+	try {
+		const profiles = await loadSubscriberProfiles();
+		console.log(`✓ Subscriber profiles loaded (${profiles.length} ranges)`);
+	} catch (err) {
+		console.error(`✗ Could not load subscriber profiles: ${err.message}`);
+	}
+
+	// Load the session history
+	try {
+		const history = await loadSessionHistory();
+		console.log(`✓ Session history loaded (${history.length} records)`);
+	} catch (err) {
+		console.error(`✗ Could not load session history: ${err.message}`);
+	}
+
+	// Load the MSIN allocation ledger
+	try {
+		const ledger = await loadMsinLedger();
+		console.log(
+			`✓ MSIN ledger loaded (${ledger.filter((allocation) => allocation.status === 'active').length} active ranges)`
+		);
+	} catch (err) {
+		console.error(`✗ Could not load MSIN ledger: ${err.message}`);
+	}
+
+	// Sessions run through the job queue; the start form can change these defaults
+	try {
+		configureQueue({
+			maxConcurrency: process.env.MAX_CONCURRENT_SESSIONS || 1,
+			overlapPolicy: process.env.OVERLAP_POLICY || 'queue',
+			runJob: runQueuedSession,
+		});
+	} catch (err) {
+		configureQueue({ runJob: runQueuedSession });
+		console.error(`✗ Invalid session queue settings, using defaults: ${err.message}`);
+	}
+
+	// Re-arm the schedule persisted before the last shutdown
+	try {
+		await restoreScheduleState();
+		console.log(`✓ Schedule state restored (past-due policy: ${getPastDuePolicy()})`);
+	} catch (err) {
+		console.error(`✗ Could not restore schedule state: ${err.message}`);
+	}
+
 	console.log('\n📱 Open http://localhost:3000 in your browser to start using the controller');
 });
 
@@ -801,6 +3461,11 @@ wss.on('connection', (ws) => {
 	// Send welcome message as HTML
 	ws.send(`<div hx-swap-oob="afterbegin:#logs">[${formatTime()}] 🔗 Connected to PacketRusher Controller<br></div>`);
 
+	// Show a schedule restored at startup to clients that connect later
+	if (serverState.scheduledSessions.length > 0) {
+		ws.send(`<div hx-swap-oob="outerHTML:#next-session-info">${updateNextSessionDisplay()}</div>`);
+	}
+
 	ws.on('close', () => {
 		console.log('HTMX WebSocket client disconnected');
 		wsClients = wsClients.filter((client) => client !== ws);
@@ -813,33 +3478,28 @@ wss.on('connection', (ws) => {
 });
 
 // Run PacketRusher directly in the app
-function runPacketRusher(sessionNumber = 1, ueCount = 1) {
+// timeoutOptions: { timeoutSeconds, perUeSeconds } overriding serverState.timeouts for this run
+function runPacketRusher(sessionNumber = 1, ueCount = 1, msin = serverState.currentMsinBase, timeoutOptions = {}) {
 	return new Promise(async (resolve) => {
 		console.log(`\nSession #${sessionNumber}: Starting PacketRusher multi-ue with ${ueCount} UEs`);
 
-		// Update config for PacketRusher
-		try {
-			await fs.access(CONFIG_PATH);
-			const configContent = await fs.readFile(CONFIG_PATH, 'utf8');
-			const config = yaml.load(configContent);
-
-			if (!config.ue) {
-				resolve({
-					success: false,
-					error: 'Invalid config.yml structure - missing "ue" section',
-				});
-				return;
-			}
-
-			// Set the base MSIN - PacketRusher will increment from this base for each UE
-			const msinDisplay =
-				typeof serverState.currentMsinBase === 'number'
-					? serverState.currentMsinBase.toString().padStart(10, '0')
-					: serverState.currentMsinBase;
-			config.ue.msin = msinDisplay;
+		// Render this session's own config so concurrent sessions never share or rewrite config.yml
+		// Credentials come from the subscriber profile holding the session's first MSIN, if there is one
+		const { profile, warnings: profileWarnings } = serverState.plmn
+			? resolveSubscriberProfile(serverState.plmn.key, msin, ueCount)
+			: { profile: null, warnings: [] };
 
-			// Write config back
-			await fs.writeFile(CONFIG_PATH, yaml.dump(config), 'utf8');
+		let configPath;
+		let configWarnings = [];
+		try {
+			({ configPath, warnings: configWarnings } = await renderSessionConfig(CONFIG_PATH, {
+				sessionNumber,
+				msin: formatMsin(msin),
+				plmn: serverState.plmn,
+				profile,
+			}));
+			configWarnings = [...profileWarnings, ...configWarnings];
+			console.log(`Session #${sessionNumber} config: ${configPath}`);
 		} catch (err) {
 			resolve({
 				success: false,
@@ -853,28 +3513,69 @@ function runPacketRusher(sessionNumber = 1, ueCount = 1) {
 			broadcastLogUpdate(message, 'packetrusher', level);
 		};
 
-		broadcast(`🚀 Session #${sessionNumber} starting with ${ueCount} UEs...`);
+		const timeoutMs = resolveTimeoutMs({ ...serverState.timeouts, ...timeoutOptions, ueCount });
+		broadcast(`🚀 Session #${sessionNumber} starting with ${ueCount} UEs (timeout: ${describeTimeout(timeoutMs)})...`);
+		if (profile) {
+			broadcast(
+				`🔑 Session #${sessionNumber} credentials from subscriber profile ${describeProfile(profile)} (${
+					profile.authMethod
+				})`
+			);
+		}
+		configWarnings.forEach((warning) => broadcast(`⚠️ Session #${sessionNumber} config mismatch: ${warning}`, 'warn'));
 
-		const process = spawn('./packetrusher', ['multi-ue', '-n', ueCount.toString()], {
+		const process = spawn('./packetrusher', ['--config', configPath, 'multi-ue', '-n', ueCount.toString()], {
 			cwd: PACKETRUSHER_DIR,
 			stdio: ['pipe', 'pipe', 'pipe'],
 		});
 
+		// Track the process so Stop / Reset can terminate it
+		const processId = randomUUID();
+		const live = { child: process, sessionNumber, ueCount, aborted: false };
+		serverState.liveProcesses.set(processId, live);
+		const untrackProcess = () => {
+			if (serverState.liveProcesses.get(processId) === live) {
+				serverState.liveProcesses.delete(processId);
+			}
+		};
+
 		let output = '';
 		let errorOutput = '';
-		let processKilled = false;
-
-		// Kill process after 30 seconds (increased timeout for multi-UE)
-		const killTimer = setTimeout(() => {
-			if (!processKilled) {
-				processKilled = true;
-				process.kill('SIGTERM');
-				broadcast(`⏰ Session #${sessionNumber} terminated after 30 seconds`, 'warn');
-				console.log(`Session #${sessionNumber} PacketRusher process terminated after 30 seconds`);
-			}
-		}, 30000);
+		let timedOut = false;
+
+		// Follow each UE through registration, authentication, security mode and PDU session setup
+		const ueParser = createOutputParser({
+			msin,
+			ueCount,
+			msinLength: serverState.plmn ? serverState.plmn.msinLength : 10,
+		});
+
+		// Shut the process down gracefully once the timeout is reached (no timer when it runs until stopped)
+		let killTimer = null;
+		if (timeoutMs !== null) {
+			killTimer = setTimeout(() => {
+				timedOut = true;
+				broadcast(`⏰ Session #${sessionNumber} reached its ${describeTimeout(timeoutMs)} timeout`, 'warn');
+				terminateProcess(process, {
+					onSignal: (signal) => {
+						broadcast(`Session #${sessionNumber}: sending ${signal} to PacketRusher`, 'warn');
+						console.log(`Session #${sessionNumber} PacketRusher timed out, sending ${signal}`);
+					},
+				});
+			}, timeoutMs);
+		}
+
+		// A chunk can end in the middle of a line; the parser only gets whole lines, the rest of a chunk waits for the
+		// next chunk of the same stream (and is flushed when the process closes)
+		const partialLines = { stdout: '', stderr: '' };
+		const parseChunk = (stream, data) => {
+			const lines = (partialLines[stream] + data.toString()).split('\n');
+			partialLines[stream] = lines.pop();
+			lines.filter((line) => line.trim()).forEach((line) => ueParser.parseLine(line));
+		};
 
 		process.stdout.on('data', (data) => {
+			parseChunk('stdout', data);
 			const text = data.toString().trim();
 			if (text) {
 				output += text + '\n';
@@ -889,6 +3590,7 @@ function runPacketRusher(sessionNumber = 1, ueCount = 1) {
 		});
 
 		process.stderr.on('data', (data) => {
+			parseChunk('stderr', data);
 			const text = data.toString().trim();
 			if (text) {
 				errorOutput += text + '\n';
@@ -904,11 +3606,55 @@ function runPacketRusher(sessionNumber = 1, ueCount = 1) {
 
 		process.on('close', (code) => {
 			clearTimeout(killTimer);
-			const duration = processKilled
-				? '30s (timeout)'
-				: `${Math.round((Date.now() - process.spawnargs.startTime) / 1000)}s`;
-
-			if (code === 0) {
+			untrackProcess();
+			const duration = `${formatDuration(Date.now() - process.spawnargs.startTime)}${timedOut ? ' (timeout)' : ''}`;
+
+			const rawOutput = output + errorOutput;
+			Object.values(partialLines)
+				.filter((line) => line.trim())
+				.forEach((line) => ueParser.parseLine(line));
+			const { summary: ueSummary, results: ueResults } = ueParser.finish();
+			broadcast(
+				`📋 Session #${sessionNumber} UEs: ${ueSummary.registered}/${ueSummary.attempted} registered, ${ueSummary.pduEstablished} PDU sessions, ${ueSummary.failed} failed, ${ueSummary.incomplete} incomplete`,
+				ueSummary.failed > 0 ? 'warn' : 'info'
+			);
+
+			// A process killed by Stop / Reset or by the timeout can still exit 0; neither counts as a successful session
+			if (live.aborted) {
+				broadcast(`🛑 Session #${sessionNumber} terminated by Stop / Reset`, 'warn');
+				console.log(`Session #${sessionNumber} PacketRusher terminated by Stop / Reset`);
+				resolve({
+					success: false,
+					output: output,
+					error: 'Terminated by Stop / Reset',
+					duration: duration,
+					timedOut,
+					aborted: true,
+					exitCode: code,
+					rawOutput,
+					ueSummary,
+					ueResults,
+					configWarnings,
+					configPath,
+				});
+			} else if (timedOut) {
+				broadcast(`⏰ Session #${sessionNumber} stopped at its timeout (exit code: ${code})`, 'warn');
+				console.log(`Session #${sessionNumber} PacketRusher stopped at its timeout with code ${code}`);
+				resolve({
+					success: false,
+					output: output,
+					error: `Timed out after ${describeTimeout(timeoutMs)}`,
+					duration: duration,
+					timedOut: true,
+					aborted: false,
+					exitCode: code,
+					rawOutput,
+					ueSummary,
+					ueResults,
+					configWarnings,
+					configPath,
+				});
+			} else if (code === 0) {
 				broadcast(`✅ Session #${sessionNumber} completed successfully (exit code: ${code})`, 'info');
 				console.log(`Session #${sessionNumber} PacketRusher completed successfully with code ${code}`);
 				resolve({
@@ -916,6 +3662,14 @@ function runPacketRusher(sessionNumber = 1, ueCount = 1) {
 					output: `Session #${sessionNumber} completed successfully (${ueCount} UEs)`,
 					error: '',
 					duration: duration,
+					timedOut: false,
+					aborted: false,
+					exitCode: code,
+					rawOutput,
+					ueSummary,
+					ueResults,
+					configWarnings,
+					configPath,
 				});
 			} else {
 				broadcast(`❌ Session #${sessionNumber} failed (exit code: ${code})`, 'error');
@@ -925,12 +3679,21 @@ function runPacketRusher(sessionNumber = 1, ueCount = 1) {
 					output: output,
 					error: errorOutput || `Process exited with code ${code}`,
 					duration: duration,
+					timedOut,
+					aborted: false,
+					exitCode: code,
+					rawOutput,
+					ueSummary,
+					ueResults,
+					configWarnings,
+					configPath,
 				});
 			}
 		});
 
 		process.on('error', (err) => {
 			clearTimeout(killTimer);
+			untrackProcess();
 			broadcast(`💥 Session #${sessionNumber} failed to start: ${err.message}`, 'error');
 			console.error(`Failed to start Session #${sessionNumber} PacketRusher:`, err);
 			resolve({
@@ -938,6 +3701,14 @@ function runPacketRusher(sessionNumber = 1, ueCount = 1) {
 				error: `Failed to start PacketRusher: ${err.message}`,
 				output: '',
 				duration: '0s',
+				timedOut: false,
+				aborted: false,
+				exitCode: null,
+				rawOutput: '',
+				ueSummary: null,
+				ueResults: [],
+				configWarnings,
+				configPath,
 			});
 		});
 
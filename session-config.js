@@ -0,0 +1,109 @@
+// session-config.js - Render a PacketRusher config file per session from the operator's config.yml template
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('js-yaml');
+
+const SESSION_CONFIG_DIR = process.env.SESSION_CONFIG_DIR || path.join(__dirname, 'data', 'session-configs');
+
+async function loadConfigTemplate(templatePath) {
+	const config = yaml.load(await fs.readFile(templatePath, 'utf8'));
+	if (!config || !config.ue) {
+		throw new Error('Invalid config.yml structure - missing "ue" section');
+	}
+	return config;
+}
+
+function formatPlmnOf(entry) {
+	return entry ? `${entry.mcc}-${entry.mnc}` : 'none';
+}
+
+// Applies the PLMN ({ mcc, mnc }) to the UE's home PLMN and the gNB's PLMN list. MCC and MNC stay strings so
+// leading zeros ("001", "01") survive. PacketRusher's slice config (gnodeb.slicesupportlist, ue.snssai) carries no
+// PLMN of its own; the slices are served under the gNB's PLMN, which checkPlmnConsistency verifies.
+function applyPlmn(config, plmn) {
+	config.ue.hplmn = { ...config.ue.hplmn, mcc: plmn.mcc, mnc: plmn.mnc };
+	if (config.gnodeb) {
+		config.gnodeb.plmnlist = { ...config.gnodeb.plmnlist, mcc: plmn.mcc, mnc: plmn.mnc };
+	}
+	return config;
+}
+
+// Writes a subscriber profile's credentials into the UE section; returns warnings. PacketRusher always
+// authenticates with 5G AKA, so a profile asking for another method is reported instead of applied.
+function applySubscriberProfile(config, profile) {
+	config.ue.key = profile.key;
+	config.ue.opc = profile.opc;
+	config.ue.amf = profile.amf;
+	config.ue.sqn = profile.sqn;
+
+	if (profile.authMethod !== '5G_AKA') {
+		return [`subscriber profile auth method ${profile.authMethod} is not supported by PacketRusher (5G AKA is used)`];
+	}
+	return [];
+}
+
+// Returns a message for each way the UE could not register through this gNB: differing PLMNs or a UE slice the gNB
+// does not support. An empty list means the config is consistent.
+function checkPlmnConsistency(config) {
+	const problems = [];
+	const gnodeb = config.gnodeb || {};
+	const uePlmn = config.ue.hplmn;
+	const gnbPlmn = gnodeb.plmnlist;
+
+	if (!gnbPlmn) {
+		problems.push('config.yml has no gnodeb.plmnlist, so the gNB PLMN is unknown');
+	} else if (!uePlmn || String(uePlmn.mcc) !== String(gnbPlmn.mcc) || String(uePlmn.mnc) !== String(gnbPlmn.mnc)) {
+		problems.push(`gNB PLMN ${formatPlmnOf(gnbPlmn)} differs from the UE home PLMN ${formatPlmnOf(uePlmn)}`);
+	}
+
+	// sst is written as 01 or "01" depending on the config, so compare it numerically
+	const ueSlice = config.ue.snssai;
+	const gnbSlice = gnodeb.slicesupportlist;
+	if (ueSlice && gnbSlice) {
+		const sameSst = parseInt(ueSlice.sst, 10) === parseInt(gnbSlice.sst, 10);
+		const sameSd = String(ueSlice.sd || '').toLowerCase() === String(gnbSlice.sd || '').toLowerCase();
+		if (!sameSst || !sameSd) {
+			problems.push(
+				`UE slice sst ${ueSlice.sst} / sd ${ueSlice.sd} is not in the gNB slice support list (sst ${gnbSlice.sst} / sd ${gnbSlice.sd})`
+			);
+		}
+	}
+
+	return problems;
+}
+
+// Session number plus a timestamp keeps names unique across restarts ("session-0007-20250426T091500123Z.yml")
+function sessionConfigName(sessionNumber) {
+	const stamp = new Date().toISOString().replace(/[-:.]/g, '');
+	return `session-${String(sessionNumber).padStart(4, '0')}-${stamp}.yml`;
+}
+
+// Writes the session's config and returns { configPath, warnings }; the template itself is never modified.
+// plmn ({ mcc, mnc }) is applied to the UE and the gNB; without it the template's PLMNs are kept. profile (a
+// subscriber profile) replaces the template's K / OPc / AMF / SQN.
+// warnings lists PLMN / slice mismatches between the UE and the gNB (see checkPlmnConsistency) and profile problems.
+async function renderSessionConfig(templatePath, { sessionNumber, msin, plmn, profile }) {
+	const config = await loadConfigTemplate(templatePath);
+
+	// Set the base MSIN - PacketRusher will increment from this base for each UE
+	config.ue.msin = msin;
+
+	if (plmn) {
+		applyPlmn(config, plmn);
+	}
+	const profileWarnings = profile ? applySubscriberProfile(config, profile) : [];
+
+	await fs.mkdir(SESSION_CONFIG_DIR, { recursive: true });
+	const configPath = path.join(SESSION_CONFIG_DIR, sessionConfigName(sessionNumber));
+	await fs.writeFile(configPath, yaml.dump(config), 'utf8');
+	return { configPath, warnings: [...profileWarnings, ...checkPlmnConsistency(config)] };
+}
+
+module.exports = {
+	SESSION_CONFIG_DIR,
+	loadConfigTemplate,
+	applyPlmn,
+	applySubscriberProfile,
+	checkPlmnConsistency,
+	renderSessionConfig,
+};
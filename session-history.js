@@ -0,0 +1,97 @@
+// session-history.js - Persistent history of finished sessions (one JSON record per line)
+const fs = require('fs').promises;
+const path = require('path');
+const { randomUUID } = require('crypto');
+
+const HISTORY_PATH = process.env.SESSION_HISTORY_PATH || path.join(__dirname, 'data', 'session-history.jsonl');
+const MAX_OUTPUT_CHARS = parseInt(process.env.SESSION_HISTORY_MAX_OUTPUT || '100000');
+
+let records = [];
+let writeQueue = Promise.resolve();
+
+async function loadSessionHistory() {
+	try {
+		const content = await fs.readFile(HISTORY_PATH, 'utf8');
+		records = content
+			.split('\n')
+			.filter((line) => line.trim())
+			.flatMap((line) => {
+				try {
+					return [JSON.parse(line)];
+				} catch (err) {
+					// A line cut off by a crash is dropped instead of losing the whole history
+					return [];
+				}
+			});
+	} catch (err) {
+		if (err.code !== 'ENOENT') {
+			throw err;
+		}
+		records = [];
+	}
+	return records;
+}
+
+// The outcome of a record: success, timeout, aborted or failed
+function recordStatus(record) {
+	if (record.aborted) return 'aborted';
+	if (record.timedOut) return 'timeout';
+	return record.success ? 'success' : 'failed';
+}
+
+// Adds an id, caps the captured output and appends the record to the store; returns the stored record
+async function addSessionRecord(record) {
+	const output = record.output || '';
+	const stored = {
+		id: randomUUID(),
+		...record,
+		output: output.length > MAX_OUTPUT_CHARS ? `${output.slice(0, MAX_OUTPUT_CHARS)}\n... (truncated)` : output,
+	};
+	stored.status = recordStatus(stored);
+	records.push(stored);
+
+	writeQueue = writeQueue
+		.then(async () => {
+			await fs.mkdir(path.dirname(HISTORY_PATH), { recursive: true });
+			await fs.appendFile(HISTORY_PATH, `${JSON.stringify(stored)}\n`, 'utf8');
+		})
+		.catch((err) => console.error(`Could not store session history: ${err.message}`));
+	await writeQueue;
+	return stored;
+}
+
+// Newest first. Filters: airport, trigger, status, from / to (ISO dates or timestamps on startedAt), limit
+function listSessionRecords({ airport, trigger, status, from, to, limit = 100 } = {}) {
+	const fromMs = from ? new Date(from).getTime() : null;
+	const toMs = to ? new Date(to).getTime() : null;
+	if (Number.isNaN(fromMs) || Number.isNaN(toMs)) {
+		throw new Error('History date filters must be ISO dates such as 2025-04-26 or 2025-04-26T09:00:00Z');
+	}
+
+	return records
+		.filter((record) => !airport || record.airport === airport.toUpperCase())
+		.filter((record) => !trigger || record.trigger === trigger)
+		.filter((record) => !status || record.status === status)
+		.filter((record) => fromMs === null || new Date(record.startedAt).getTime() >= fromMs)
+		.filter((record) => toMs === null || new Date(record.startedAt).getTime() <= toMs)
+		.reverse()
+		.slice(0, Math.max(1, parseInt(limit) || 100));
+}
+
+// Every record, oldest first
+function getSessionRecords() {
+	return [...records];
+}
+
+function getSessionRecord(id) {
+	return records.find((record) => record.id === id) || null;
+}
+
+module.exports = {
+	HISTORY_PATH,
+	loadSessionHistory,
+	addSessionRecord,
+	listSessionRecords,
+	getSessionRecords,
+	getSessionRecord,
+};
@@ -0,0 +1,115 @@
+// session-metrics.js - Registration success rates, timeouts and latency percentiles from the session history
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_WINDOW_HOURS = 24;
+const MAX_WINDOW_HOURS = 24 * 7;
+const PERCENTILES = [50, 90, 95, 99];
+
+// Latencies reported by the output parser, in the order the panel shows them
+const LATENCY_KEYS = ['authenticationMs', 'securityModeMs', 'registrationMs', 'pduSessionMs'];
+
+function parseWindowHours(value) {
+	if (value === undefined || value === '') {
+		return DEFAULT_WINDOW_HOURS;
+	}
+	const hours = Number(value);
+	if (!Number.isInteger(hours) || hours < 1 || hours > MAX_WINDOW_HOURS) {
+		throw new Error(`Metrics window must be a whole number of hours between 1 and ${MAX_WINDOW_HOURS}`);
+	}
+	return hours;
+}
+
+// Nearest-rank percentile of a sorted list
+function percentile(sorted, p) {
+	if (sorted.length === 0) {
+		return null;
+	}
+	const rank = Math.ceil((p / 100) * sorted.length);
+	return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+// UE counts of one session; sessions without parsed results (config errors, crashes) count every UE as failed.
+// UEs that never finished registering count as failed too.
+function sessionCounts(record) {
+	const summary = record.ueSummary;
+	const attempted = summary ? summary.attempted : record.ueCount;
+	const succeeded = summary ? summary.registered : 0;
+	return { attempted, succeeded, failed: attempted - succeeded };
+}
+
+// records: session history records (any order). Returns totals, per-session rows (newest first), per-hour buckets
+// (oldest first, empty hours included) and latency percentiles over the last windowHours.
+function computeMetrics(records, { windowHours = DEFAULT_WINDOW_HOURS, now = Date.now() } = {}) {
+	const windowStart = Math.floor((now - windowHours * HOUR_MS) / HOUR_MS) * HOUR_MS + HOUR_MS;
+	const inWindow = records
+		.filter((record) => new Date(record.startedAt).getTime() >= windowStart)
+		.sort((a, b) => new Date(a.startedAt) - new Date(b.startedAt));
+
+	const totals = { sessions: 0, attempted: 0, succeeded: 0, failed: 0, timeouts: 0 };
+	const hours = new Map();
+	for (let hourStart = windowStart; hourStart <= now; hourStart += HOUR_MS) {
+		hours.set(hourStart, {
+			hourStart: new Date(hourStart).toISOString(),
+			sessions: 0,
+			attempted: 0,
+			succeeded: 0,
+			failed: 0,
+			timeouts: 0,
+		});
+	}
+	const latencies = Object.fromEntries(LATENCY_KEYS.map((key) => [key, []]));
+
+	const sessions = inWindow.map((record) => {
+		const counts = sessionCounts(record);
+		const hourStart = Math.floor(new Date(record.startedAt).getTime() / HOUR_MS) * HOUR_MS;
+		[totals, hours.get(hourStart)].filter(Boolean).forEach((bucket) => {
+			bucket.sessions++;
+			bucket.attempted += counts.attempted;
+			bucket.succeeded += counts.succeeded;
+			bucket.failed += counts.failed;
+			bucket.timeouts += record.timedOut ? 1 : 0;
+		});
+
+		(record.ueResults || []).forEach((ue) => {
+			LATENCY_KEYS.forEach((key) => {
+				if (ue.latencies && typeof ue.latencies[key] === 'number') {
+					latencies[key].push(ue.latencies[key]);
+				}
+			});
+		});
+
+		return {
+			id: record.id,
+			sessionNumber: record.sessionNumber,
+			airport: record.airport,
+			startedAt: record.startedAt,
+			status: record.status,
+			timedOut: Boolean(record.timedOut),
+			...counts,
+		};
+	});
+
+	const latencyPercentiles = Object.fromEntries(
+		LATENCY_KEYS.map((key) => {
+			const sorted = latencies[key].sort((a, b) => a - b);
+			const values = Object.fromEntries(PERCENTILES.map((p) => [`p${p}`, percentile(sorted, p)]));
+			return [key, { samples: sorted.length, ...values }];
+		})
+	);
+
+	return {
+		windowHours,
+		totals,
+		successRate: totals.attempted > 0 ? totals.succeeded / totals.attempted : null,
+		sessions: sessions.reverse(),
+		hours: [...hours.values()],
+		latencyPercentiles,
+	};
+}
+
+module.exports = {
+	DEFAULT_WINDOW_HOURS,
+	PERCENTILES,
+	LATENCY_KEYS,
+	parseWindowHours,
+	computeMetrics,
+};
@@ -0,0 +1,134 @@
+// session-queue.js - Job queue in front of PacketRusher runs, with a concurrency limit and an overlap policy
+// Overlap policies decide what happens to a job when every slot is busy:
+//   queue - wait for a free slot
+//   merge - add its UE count to a waiting job with the same key (same airport), otherwise wait
+//   skip  - drop it
+const OVERLAP_POLICIES = ['queue', 'merge', 'skip'];
+const MAX_CONCURRENCY_LIMIT = 16;
+
+const queue = {
+	maxConcurrency: 1,
+	overlapPolicy: 'queue',
+	waiting: [],
+	running: [],
+	runJob: async () => {},
+};
+
+function parseMaxConcurrency(value) {
+	const maxConcurrency = Number(value);
+	if (!Number.isInteger(maxConcurrency) || maxConcurrency < 1 || maxConcurrency > MAX_CONCURRENCY_LIMIT) {
+		throw new Error(`Max concurrent sessions must be an integer between 1 and ${MAX_CONCURRENCY_LIMIT}`);
+	}
+	return maxConcurrency;
+}
+
+function parseOverlapPolicy(value) {
+	const overlapPolicy = String(value || '').toLowerCase();
+	if (!OVERLAP_POLICIES.includes(overlapPolicy)) {
+		throw new Error(`Unknown overlap policy: "${value}" (use ${OVERLAP_POLICIES.join(', ')})`);
+	}
+	return overlapPolicy;
+}
+
+// Only the given settings change; runJob(job) runs one job and resolves when it is finished
+function configureQueue({ maxConcurrency, overlapPolicy, runJob } = {}) {
+	if (maxConcurrency !== undefined) {
+		queue.maxConcurrency = parseMaxConcurrency(maxConcurrency);
+	}
+	if (overlapPolicy !== undefined) {
+		queue.overlapPolicy = parseOverlapPolicy(overlapPolicy);
+	}
+	if (runJob) {
+		queue.runJob = runJob;
+	}
+	pump();
+}
+
+function getQueueStatus() {
+	return {
+		maxConcurrency: queue.maxConcurrency,
+		overlapPolicy: queue.overlapPolicy,
+		waiting: queue.waiting.length,
+		running: queue.running.length,
+	};
+}
+
+function startJob(job) {
+	queue.running.push(job);
+	Promise.resolve()
+		.then(() => queue.runJob(job))
+		.catch((err) => console.error(`Queued job failed: ${err.message}`))
+		.finally(() => {
+			queue.running = queue.running.filter((runningJob) => runningJob !== job);
+			pump();
+		});
+}
+
+// Start waiting jobs while there are free slots
+function pump() {
+	while (queue.waiting.length > 0 && queue.running.length < queue.maxConcurrency) {
+		startJob(queue.waiting.shift());
+	}
+}
+
+// Job: { key, ueCount, queueAlways, ... }; queueAlways jobs (manual runs) wait instead of being skipped.
+// Returns { state: 'running' | 'queued' | 'merged' | 'skipped', target, position }, where target is the waiting
+// job a merged job was added to and position is a queued job's place in line.
+function enqueueJob(job) {
+	if (queue.running.length < queue.maxConcurrency && queue.waiting.length === 0) {
+		startJob(job);
+		return { state: 'running' };
+	}
+
+	if (queue.overlapPolicy === 'skip' && !job.queueAlways) {
+		return { state: 'skipped' };
+	}
+
+	if (queue.overlapPolicy === 'merge' && job.key) {
+		const target = queue.waiting.find((waitingJob) => waitingJob.key === job.key);
+		if (target) {
+			target.ueCount += job.ueCount;
+			target.mergedJobs = [...(target.mergedJobs || []), job];
+			return { state: 'merged', target };
+		}
+	}
+
+	queue.waiting.push(job);
+	return { state: 'queued', position: queue.waiting.length };
+}
+
+// Take a job out of the waiting list; returns the jobs that were merged into it, which lose their ride and need
+// to be enqueued again (the job's UE count drops back to its own), or null when it is not waiting
+function removeJob(job) {
+	const before = queue.waiting.length;
+	queue.waiting = queue.waiting.filter((waitingJob) => waitingJob !== job);
+	if (queue.waiting.length === before) {
+		return null;
+	}
+
+	const mergedJobs = job.mergedJobs || [];
+	mergedJobs.forEach((mergedJob) => {
+		job.ueCount -= mergedJob.ueCount;
+	});
+	job.mergedJobs = [];
+	return mergedJobs;
+}
+
+// Drop every waiting job; running jobs are left to finish. Returns the dropped jobs.
+function clearQueue() {
+	const dropped = queue.waiting;
+	queue.waiting = [];
+	return dropped;
+}
+
+module.exports = {
+	OVERLAP_POLICIES,
+	MAX_CONCURRENCY_LIMIT,
+	parseMaxConcurrency,
+	parseOverlapPolicy,
+	configureQueue,
+	getQueueStatus,
+	enqueueJob,
+	removeJob,
+	clearQueue,
+};
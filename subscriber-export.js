@@ -0,0 +1,163 @@
+// subscriber-export.js - Subscriber provisioning files for the 5G core under test
+//   free5GC WebConsole: one request body per block of consecutive IMSIs (a session's range), for
+//     POST /api/subscriber/imsi-<first IMSI>/<PLMN ID>/<userNumber>, which creates userNumber consecutive subscribers
+//   Open5GS: one document per IMSI for the "subscribers" collection, as NDJSON for
+//     mongoimport --db open5gs --collection subscribers --file <export>
+const { formatImsi } = require('./plmn');
+
+const HEX_32 = /^[0-9a-f]{32}$/i;
+
+// free5GC keys S-NSSAIs as sst (2 hex digits) + sd, e.g. "01000001"
+function free5gcSnssaiKey(slice) {
+	return `${Number(slice.sst).toString(16).padStart(2, '0')}${slice.sd || ''}`;
+}
+
+// block: { plmn, msinStart, count, credentials: { key, opc, amf, sqn, authMethod }, slice: { sst, sd }, dnn }
+function buildFree5gcSubscriber(block) {
+	const { plmn, credentials, dnn } = block;
+	const slice = { sst: Number(block.slice.sst), sd: block.slice.sd };
+	const ueId = `imsi-${formatImsi(plmn, block.msinStart)}`;
+	const plmnId = `${plmn.mcc}${plmn.mnc}`;
+	const snssaiKey = free5gcSnssaiKey(slice);
+
+	return {
+		ueId,
+		plmnId,
+		userNumber: block.count,
+		path: `/api/subscriber/${ueId}/${plmnId}/${block.count}`,
+		body: {
+			plmnID: plmnId,
+			ueId,
+			AuthenticationSubscription: {
+				authenticationManagementField: credentials.amf,
+				authenticationMethod: credentials.authMethod || '5G_AKA',
+				milenage: { op: { encryptionAlgorithm: 0, encryptionKey: 0, opValue: '' } },
+				opc: { encryptionAlgorithm: 0, encryptionKey: 0, opcValue: credentials.opc },
+				permanentKey: { encryptionAlgorithm: 0, encryptionKey: 0, permanentKeyValue: credentials.key },
+				sequenceNumber: String(credentials.sqn).padStart(12, '0'),
+			},
+			AccessAndMobilitySubscriptionData: {
+				gpsis: [],
+				nssai: { defaultSingleNssais: [slice], singleNssais: [] },
+				subscribedUeAmbr: { downlink: '2 Gbps', uplink: '1 Gbps' },
+			},
+			SessionManagementSubscriptionData: [
+				{
+					singleNssai: slice,
+					dnnConfigurations: {
+						[dnn]: {
+							pduSessionTypes: { defaultSessionType: 'IPV4', allowedSessionTypes: ['IPV4'] },
+							sscModes: { defaultSscMode: 'SSC_MODE_1', allowedSscModes: ['SSC_MODE_1'] },
+							'5gQosProfile': { '5qi': 9, arp: { priorityLevel: 8 }, priorityLevel: 8 },
+							sessionAmbr: { downlink: '1 Gbps', uplink: '1 Gbps' },
+						},
+					},
+				},
+			],
+			SmfSelectionSubscriptionData: { subscribedSnssaiInfos: { [snssaiKey]: { dnnInfos: [{ dnn }] } } },
+			AmPolicyData: { subscCats: ['free5gc'] },
+			SmPolicyData: {
+				smPolicySnssaiData: { [snssaiKey]: { snssai: slice, smPolicyDnnData: { [dnn]: { dnn } } } },
+			},
+			FlowRules: [],
+			QosFlows: [],
+		},
+	};
+}
+
+// One Open5GS subscriber document per IMSI of the block. Open5GS picks the auth method in its AUSF config, so the
+// profile's auth method is not part of the document.
+function buildOpen5gsSubscribers(block) {
+	const { plmn, credentials, dnn } = block;
+	const ambr = { downlink: { value: 1, unit: 3 }, uplink: { value: 1, unit: 3 } }; // unit 3 = Gbps
+	const documents = [];
+
+	for (let i = 0; i < block.count; i++) {
+		documents.push({
+			imsi: formatImsi(plmn, block.msinStart + i),
+			msisdn: [],
+			imeisv: [],
+			mme_host: [],
+			mme_realm: [],
+			purge_flag: [],
+			security: {
+				k: credentials.key,
+				op: null,
+				opc: credentials.opc,
+				amf: credentials.amf,
+				sqn: { $numberLong: String(parseInt(credentials.sqn, 16)) },
+			},
+			ambr,
+			slice: [
+				{
+					sst: Number(block.slice.sst),
+					sd: block.slice.sd,
+					default_indicator: true,
+					session: [
+						{
+							name: dnn,
+							type: 3, // IPv4v6
+							qos: {
+								index: 9,
+								arp: { priority_level: 8, pre_emption_capability: 1, pre_emption_vulnerability: 1 },
+							},
+							ambr,
+							pcc_rule: [],
+						},
+					],
+				},
+			],
+			access_restriction_data: 32,
+			subscriber_status: 0,
+			network_access_mode: 0,
+			subscribed_rau_tau_timer: 12,
+			__v: 0,
+		});
+	}
+	return documents;
+}
+
+// Checks used by the mock provisioning endpoints; each returns a list of problems (empty when valid)
+function validateFree5gcSubscriber(ueId, plmnId, body) {
+	const errors = [];
+	const auth = (body && body.AuthenticationSubscription) || {};
+
+	if (!/^imsi-\d{15}$/.test(ueId)) {
+		errors.push(`ueId must be imsi- followed by 15 digits (got "${ueId}")`);
+	} else if (!/^\d{5,6}$/.test(plmnId) || !ueId.startsWith(`imsi-${plmnId}`)) {
+		errors.push(`PLMN ID ${plmnId} does not match ${ueId}`);
+	}
+	if (!HEX_32.test((auth.permanentKey && auth.permanentKey.permanentKeyValue) || '')) {
+		errors.push('AuthenticationSubscription.permanentKey.permanentKeyValue must be 32 hex digits');
+	}
+	if (!HEX_32.test((auth.opc && auth.opc.opcValue) || '')) {
+		errors.push('AuthenticationSubscription.opc.opcValue must be 32 hex digits');
+	}
+	return errors;
+}
+
+function validateOpen5gsSubscriber(document) {
+	const errors = [];
+	const security = (document && document.security) || {};
+
+	if (!/^\d{15}$/.test(String((document && document.imsi) || ''))) {
+		errors.push(`imsi must be 15 digits (got "${document && document.imsi}")`);
+	}
+	if (!HEX_32.test(security.k || '')) {
+		errors.push('security.k must be 32 hex digits');
+	}
+	if (!HEX_32.test(security.opc || '')) {
+		errors.push('security.opc must be 32 hex digits');
+	}
+	if (!Array.isArray(document && document.slice) || document.slice.length === 0) {
+		errors.push('slice must list at least one S-NSSAI');
+	}
+	return errors;
+}
+
+module.exports = {
+	buildFree5gcSubscriber,
+	buildOpen5gsSubscribers,
+	validateFree5gcSubscriber,
+	validateOpen5gsSubscriber,
+};
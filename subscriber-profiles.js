@@ -0,0 +1,253 @@
+// subscriber-profiles.js - Subscriber credentials (K, OPc, AMF, SQN, auth method) per MSIN range and PLMN
+const fs = require('fs').promises;
+const path = require('path');
+const { randomUUID } = require('crypto');
+const { splitCsvLine } = require('./schedule-upload');
+const { parsePlmnKey, formatMsin } = require('./plmn');
+
+const PROFILES_PATH = process.env.SUBSCRIBER_PROFILES_PATH || path.join(__dirname, 'data', 'subscriber-profiles.json');
+
+const AUTH_METHODS = ['5G_AKA', 'EAP_AKA_PRIME'];
+const IMPORT_MODES = ['replace', 'append'];
+
+// Column name aliases accepted in CSV headers
+const FIELD_ALIASES = {
+	plmn: ['plmn', 'plmn_id', 'plmnid'],
+	msinStart: ['msin_start', 'msinstart', 'start', 'from'],
+	msinEnd: ['msin_end', 'msinend', 'end', 'to'],
+	key: ['k', 'key', 'ki'],
+	opc: ['opc', 'op_c'],
+	amf: ['amf'],
+	sqn: ['sqn'],
+	authMethod: ['auth_method', 'authmethod', 'authentication_method', 'auth'],
+};
+
+let profiles = [];
+let writeQueue = Promise.resolve();
+
+async function loadSubscriberProfiles() {
+	try {
+		const content = await fs.readFile(PROFILES_PATH, 'utf8');
+		profiles = JSON.parse(content);
+	} catch (err) {
+		if (err.code !== 'ENOENT') {
+			throw err;
+		}
+		profiles = [];
+	}
+	return profiles;
+}
+
+// Write through a temporary file so a crash mid-write never leaves a truncated store. Writes run one at a time; the
+// returned promise rejects when this write fails, later writes still go ahead.
+function saveSubscriberProfiles() {
+	const content = JSON.stringify(profiles, null, 2);
+	const write = writeQueue.then(async () => {
+		await fs.mkdir(path.dirname(PROFILES_PATH), { recursive: true });
+		const tempPath = `${PROFILES_PATH}.tmp`;
+		await fs.writeFile(tempPath, content, 'utf8');
+		await fs.rename(tempPath, PROFILES_PATH);
+	});
+	writeQueue = write.catch(() => {});
+	return write;
+}
+
+// Swap in a new profile list and save it; the old list comes back when the save fails
+async function replaceProfiles(nextProfiles) {
+	const previous = profiles;
+	profiles = nextProfiles;
+	try {
+		await saveSubscriberProfiles();
+	} catch (err) {
+		if (profiles === nextProfiles) {
+			profiles = previous;
+		}
+		throw err;
+	}
+}
+
+function getSubscriberProfiles() {
+	return profiles;
+}
+
+function pickField(record, field) {
+	const entry = Object.entries(record).find(([name]) =>
+		FIELD_ALIASES[field].includes(
+			String(name)
+				.trim()
+				.toLowerCase()
+				.replace(/[\s-]+/g, '_')
+		)
+	);
+	return entry ? String(entry[1] ?? '').trim() : '';
+}
+
+// "5G-AKA", "5g_aka", "EAP-AKA'" and the like; an empty value means 5G AKA
+function normalizeAuthMethod(value) {
+	const normalized = String(value || '5G_AKA')
+		.toUpperCase()
+		.replace(/'/g, '_PRIME')
+		.replace(/[\s-]+/g, '_');
+	return AUTH_METHODS.includes(normalized) ? normalized : null;
+}
+
+function hexField(value, label, pattern, description) {
+	if (!pattern.test(value)) {
+		throw new Error(`${label} must be ${description} (got "${value}")`);
+	}
+	return value.toUpperCase();
+}
+
+// Validates one CSV record; returns the profile or throws with the reason
+function parseProfile(record) {
+	const plmn = parsePlmnKey(pickField(record, 'plmn'));
+	const msinPattern = new RegExp(`^\\d{1,${plmn.msinLength}}$`);
+	const rawStart = pickField(record, 'msinStart');
+	const rawEnd = pickField(record, 'msinEnd') || rawStart;
+	if (!msinPattern.test(rawStart) || !msinPattern.test(rawEnd)) {
+		throw new Error(`MSIN range must be up to ${plmn.msinLength} digits for PLMN ${plmn.key}`);
+	}
+	const msinStart = parseInt(rawStart, 10);
+	const msinEnd = parseInt(rawEnd, 10);
+	if (msinEnd < msinStart) {
+		throw new Error(`MSIN range ends (${rawEnd}) before it starts (${rawStart})`);
+	}
+
+	const authMethod = normalizeAuthMethod(pickField(record, 'authMethod'));
+	if (!authMethod) {
+		throw new Error(`unknown auth method "${pickField(record, 'authMethod')}" (use ${AUTH_METHODS.join(' or ')})`);
+	}
+
+	return {
+		plmn: plmn.key,
+		msinStart,
+		msinEnd,
+		key: hexField(pickField(record, 'key'), 'K', /^[0-9a-f]{32}$/i, '32 hex digits'),
+		opc: hexField(pickField(record, 'opc'), 'OPc', /^[0-9a-f]{32}$/i, '32 hex digits'),
+		amf: hexField(pickField(record, 'amf') || '8000', 'AMF', /^[0-9a-f]{4}$/i, '4 hex digits'),
+		sqn: hexField(pickField(record, 'sqn') || '000000000000', 'SQN', /^[0-9a-f]{1,12}$/i, 'up to 12 hex digits'),
+		authMethod,
+	};
+}
+
+function describeProfile(profile) {
+	const plmn = parsePlmnKey(profile.plmn);
+	return `${profile.plmn} ${formatMsin(profile.msinStart, plmn)}-${formatMsin(profile.msinEnd, plmn)}`;
+}
+
+function findOverlap(list, profile) {
+	return list.find(
+		(other) => other.plmn === profile.plmn && other.msinStart <= profile.msinEnd && other.msinEnd >= profile.msinStart
+	);
+}
+
+// CSV with a header row: plmn, msin_start, msin_end, k, opc[, amf, sqn, auth_method]. mode "replace" swaps the
+// whole store, "append" adds to it. Nothing is stored when any line is invalid or two ranges overlap.
+// Returns { imported, errors }.
+async function importSubscriberProfiles(content, { mode = 'replace' } = {}) {
+	if (!IMPORT_MODES.includes(mode)) {
+		return { imported: [], errors: [`Unknown import mode "${mode}" (use ${IMPORT_MODES.join(' or ')})`] };
+	}
+
+	const lines = String(content || '')
+		.split(/\r?\n/)
+		.map((line, index) => ({ text: line.trim(), lineNumber: index + 1 }))
+		.filter((line) => line.text && !line.text.startsWith('#'));
+	if (lines.length < 2) {
+		return { imported: [], errors: ['Profile CSV needs a header row and at least one profile'] };
+	}
+
+	const header = splitCsvLine(lines[0].text);
+	const errors = [];
+	const existing = mode === 'append' ? profiles : [];
+	const imported = [];
+
+	lines.slice(1).forEach(({ text, lineNumber }) => {
+		const cells = splitCsvLine(text);
+		const record = Object.fromEntries(header.map((name, index) => [name, cells[index]]));
+
+		try {
+			const profile = parseProfile(record);
+			const overlap = findOverlap(existing, profile) || findOverlap(imported, profile);
+			if (overlap) {
+				throw new Error(`MSIN range ${describeProfile(profile)} overlaps ${describeProfile(overlap)}`);
+			}
+			imported.push({ id: randomUUID(), ...profile, importedAt: new Date().toISOString() });
+		} catch (err) {
+			errors.push(`Line ${lineNumber}: ${err.message}`);
+		}
+	});
+
+	if (errors.length > 0) {
+		return { imported: [], errors };
+	}
+
+	await replaceProfiles(
+		[...existing, ...imported].sort((a, b) => a.plmn.localeCompare(b.plmn) || a.msinStart - b.msinStart)
+	);
+	return { imported, errors };
+}
+
+async function removeSubscriberProfile(id) {
+	const remaining = profiles.filter((profile) => profile.id !== id);
+	if (remaining.length === profiles.length) {
+		return false;
+	}
+	await replaceProfiles(remaining);
+	return true;
+}
+
+async function clearSubscriberProfiles() {
+	await replaceProfiles([]);
+}
+
+// The profile holding one MSIN, or null
+function findSubscriberProfile(plmnKey, msin) {
+	return (
+		profiles.find((profile) => profile.plmn === plmnKey && profile.msinStart <= msin && profile.msinEnd >= msin) || null
+	);
+}
+
+// The profile for a session's UEs: PacketRusher gives every UE of a run the same credentials, so the profile holding
+// the first MSIN is used. Returns { profile, warnings }; profile is null when no range holds the first MSIN.
+function resolveSubscriberProfile(plmnKey, msin, ueCount) {
+	const lastMsin = msin + ueCount - 1;
+	const profile = findSubscriberProfile(plmnKey, msin);
+	const warnings = [];
+
+	if (!profile) {
+		const partial = profiles.find(
+			(candidate) => candidate.plmn === plmnKey && candidate.msinStart <= lastMsin && candidate.msinEnd >= msin
+		);
+		if (partial) {
+			warnings.push(
+				`subscriber profile ${describeProfile(
+					partial
+				)} does not cover the first MSIN, so config.yml credentials are used for every UE`
+			);
+		}
+		return { profile: null, warnings };
+	}
+
+	if (profile.msinEnd < lastMsin) {
+		warnings.push(
+			`${lastMsin - profile.msinEnd} UEs are beyond subscriber profile ${describeProfile(
+				profile
+			)} but register with its credentials`
+		);
+	}
+	return { profile, warnings };
+}
+
+module.exports = {
+	PROFILES_PATH,
+	AUTH_METHODS,
+	IMPORT_MODES,
+	loadSubscriberProfiles,
+	getSubscriberProfiles,
+	importSubscriberProfiles,
+	removeSubscriberProfile,
+	clearSubscriberProfiles,
+	resolveSubscriberProfile,
+	describeProfile,
+};
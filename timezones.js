@@ -0,0 +1,168 @@
+// timezones.js - Airport timezones and zoned date helpers (Intl based, no host timezone assumptions)
+
+// Explicit airport -> IANA timezone entries, for countries spanning several zones or unusual prefixes
+const AIRPORT_TIMEZONES = {
+	CYVR: 'America/Vancouver',
+	KATL: 'America/New_York',
+	KCVG: 'America/New_York',
+	KJFK: 'America/New_York',
+	KLAS: 'America/Los_Angeles',
+	KLAX: 'America/Los_Angeles',
+	KSFO: 'America/Los_Angeles',
+	PANC: 'America/Anchorage',
+	PHNL: 'Pacific/Honolulu',
+	YBBN: 'Australia/Brisbane',
+	YSSY: 'Australia/Sydney',
+	MMMY: 'America/Monterrey',
+};
+
+// ICAO prefix -> IANA timezone, longest prefix wins
+const PREFIX_TIMEZONES = {
+	RK: 'Asia/Seoul',
+	RJ: 'Asia/Tokyo',
+	RO: 'Asia/Tokyo',
+	RC: 'Asia/Taipei',
+	RP: 'Asia/Manila',
+	VH: 'Asia/Hong_Kong',
+	VM: 'Asia/Macau',
+	VT: 'Asia/Bangkok',
+	VV: 'Asia/Ho_Chi_Minh',
+	VL: 'Asia/Vientiane',
+	VD: 'Asia/Phnom_Penh',
+	VI: 'Asia/Kolkata',
+	VA: 'Asia/Kolkata',
+	WS: 'Asia/Singapore',
+	WM: 'Asia/Kuala_Lumpur',
+	WB: 'Asia/Kuching',
+	WI: 'Asia/Jakarta',
+	WA: 'Asia/Makassar',
+	Z: 'Asia/Shanghai',
+	ZK: 'Asia/Pyongyang',
+	ZM: 'Asia/Ulaanbaatar',
+	UH: 'Asia/Vladivostok',
+	OM: 'Asia/Dubai',
+	OT: 'Asia/Qatar',
+	LT: 'Europe/Istanbul',
+	ED: 'Europe/Berlin',
+	EH: 'Europe/Amsterdam',
+	EL: 'Europe/Luxembourg',
+	LF: 'Europe/Paris',
+	LI: 'Europe/Rome',
+	EG: 'Europe/London',
+	HA: 'Africa/Addis_Ababa',
+	NZ: 'Pacific/Auckland',
+};
+
+const DEFAULT_TIMEZONE = 'UTC';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function isValidTimezone(timeZone) {
+	if (!timeZone) return false;
+	try {
+		new Intl.DateTimeFormat('en-US', { timeZone });
+		return true;
+	} catch (err) {
+		return false;
+	}
+}
+
+function getAirportTimezone(airport) {
+	const code = String(airport || '').toUpperCase();
+	if (AIRPORT_TIMEZONES[code]) {
+		return AIRPORT_TIMEZONES[code];
+	}
+
+	const prefix = Object.keys(PREFIX_TIMEZONES)
+		.filter((candidate) => code.startsWith(candidate))
+		.sort((a, b) => b.length - a.length)[0];
+	return prefix ? PREFIX_TIMEZONES[prefix] : DEFAULT_TIMEZONE;
+}
+
+// Calendar fields of an instant in a timezone: { year, month, day, hour, minute, second, weekday }
+function getZonedParts(date, timeZone) {
+	const formatter = new Intl.DateTimeFormat('en-US', {
+		timeZone,
+		hourCycle: 'h23',
+		year: 'numeric',
+		month: 'numeric',
+		day: 'numeric',
+		hour: 'numeric',
+		minute: 'numeric',
+		second: 'numeric',
+		weekday: 'short',
+	});
+
+	const parts = {};
+	formatter.formatToParts(date).forEach(({ type, value }) => {
+		parts[type] = value;
+	});
+
+	return {
+		year: parseInt(parts.year),
+		month: parseInt(parts.month),
+		day: parseInt(parts.day),
+		hour: parseInt(parts.hour),
+		minute: parseInt(parts.minute),
+		second: parseInt(parts.second),
+		weekday: WEEKDAYS.indexOf(parts.weekday),
+	};
+}
+
+// Offset (ms) of a timezone from UTC at the given instant
+function getTimezoneOffset(epochMs, timeZone) {
+	const wholeSeconds = Math.floor(epochMs / 1000) * 1000;
+	const parts = getZonedParts(new Date(wholeSeconds), timeZone);
+	return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - wholeSeconds;
+}
+
+// Epoch (ms) of a wall-clock time in a timezone; day overflow (day: 32, hour: 25...) is normalized by Date.UTC
+function zonedTimeToEpoch({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+	const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+	let epoch = wallClockAsUtc - getTimezoneOffset(wallClockAsUtc, timeZone);
+
+	// Re-check once, the offset may differ on the other side of a DST change
+	const correctedOffset = getTimezoneOffset(epoch, timeZone);
+	epoch = wallClockAsUtc - correctedOffset;
+	return epoch;
+}
+
+// Start of the calendar day (00:00:00) of an instant in a timezone, shifted by a number of days
+function startOfZonedDay(date, timeZone, dayOffset = 0) {
+	const parts = getZonedParts(date, timeZone);
+	return zonedTimeToEpoch({ year: parts.year, month: parts.month, day: parts.day + dayOffset }, timeZone);
+}
+
+// YYYY-MM-DD of an instant in a timezone
+function formatZonedDateKey(date, timeZone) {
+	const parts = getZonedParts(date, timeZone);
+	return `${parts.year}-${String(parts.month).padStart(2, '0')}-${String(parts.day).padStart(2, '0')}`;
+}
+
+// Same "h:mm:ss AM" format the flight data endpoints always used
+function formatZonedTime(date, timeZone) {
+	return new Date(date).toLocaleTimeString('en-US', { timeZone });
+}
+
+// Move an instant's time of day (in a timezone) onto another calendar day of that timezone
+function timeOfDayOnDay(sourceDate, dayDate, timeZone) {
+	const source = getZonedParts(sourceDate, timeZone);
+	const day = getZonedParts(dayDate, timeZone);
+	return zonedTimeToEpoch(
+		{ year: day.year, month: day.month, day: day.day, hour: source.hour, minute: source.minute, second: source.second },
+		timeZone
+	);
+}
+
+module.exports = {
+	DAY_MS,
+	DEFAULT_TIMEZONE,
+	isValidTimezone,
+	getAirportTimezone,
+	getZonedParts,
+	zonedTimeToEpoch,
+	startOfZonedDay,
+	formatZonedDateKey,
+	formatZonedTime,
+	timeOfDayOnDay,
+};